@@ -0,0 +1,285 @@
+// Breach Store - locally imported breach datasets, indexed by email, username and domain.
+// Accepts HIBP JSON exports (the breach model array, or a domain search export mapping
+// aliases to breach names) and CSV account lists. Password columns are never stored.
+class BreachStore {
+    constructor(database) {
+        this.database = database;
+    }
+
+    // CSV header names mapped to record fields and the HIBP data class they stand for
+    static get CSV_COLUMNS() {
+        return {
+            email: { dataClass: 'Email addresses', names: ['email', 'e-mail', 'mail', 'email_address', 'emailaddress'] },
+            username: { dataClass: 'Usernames', names: ['username', 'user', 'login', 'user_name', 'handle', 'nick'] },
+            breach: { names: ['breach', 'source', 'breach_name', 'dataset'] },
+            date: { names: ['date', 'breach_date', 'breachdate'] },
+            name: { dataClass: 'Names', names: ['name', 'full_name', 'fullname', 'first_name', 'last_name'] },
+            ip: { dataClass: 'IP addresses', names: ['ip', 'ip_address', 'ipaddress', 'last_ip'] },
+            phone: { dataClass: 'Phone numbers', names: ['phone', 'phone_number', 'mobile'] },
+            dob: { dataClass: 'Dates of birth', names: ['dob', 'birthdate', 'date_of_birth'] }
+        };
+    }
+
+    // Columns that are dropped on import; they only mark the breach as exposing passwords
+    static get PASSWORD_COLUMNS() {
+        return ['password', 'pass', 'passwd', 'pwd', 'hash', 'password_hash', 'passwordhash', 'salt', 'plaintext'];
+    }
+
+    // Records written per transaction during an import
+    static get BATCH_SIZE() {
+        return 5000;
+    }
+
+    async initialize() {
+        await this.database.open();
+        return true;
+    }
+
+    // Breach name for rows that do not carry one: "acme-forum.csv" -> "acme-forum"
+    static nameFromFile(fileName) {
+        return String(fileName).trim().replace(/\.[a-z0-9]+$/i, '') || 'Imported';
+    }
+
+    // An email address or a username; anything with whitespace or a combo-list
+    // separator left in it is part of a password column and is rejected
+    static isAccount(value) {
+        return /^[^\s@:|;,]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value) || /^[^\s@:|;,]{1,64}$/.test(value);
+    }
+
+    // One account in one breach; `username` is kept alongside an email when the data has both
+    static accountRecord(breach, account, username = null) {
+        const value = String(account || '').trim().toLowerCase();
+        const candidate = String(username || '').trim().toLowerCase();
+        const alias = BreachStore.isAccount(candidate) ? candidate : null;
+        if (value && !BreachStore.isAccount(value)) return null;
+        if (!value && !alias) return null;
+        const email = value.includes('@') ? value : null;
+        return {
+            id: `${breach}|${email || alias || value}`,
+            breach: breach,
+            email: email,
+            username: email ? alias : (alias || value),
+            domain: email ? email.split('@').pop() : null
+        };
+    }
+
+    static breachFromModel(model, source) {
+        return {
+            name: model.Name,
+            title: model.Title || model.Name,
+            domain: (model.Domain || '').toLowerCase() || null,
+            breachDate: model.BreachDate || null,
+            addedDate: model.AddedDate || null,
+            pwnCount: model.PwnCount ?? null,
+            description: model.Description || null,
+            dataClasses: model.DataClasses || [],
+            verified: model.IsVerified ?? null,
+            sensitive: Boolean(model.IsSensitive),
+            source: source
+        };
+    }
+
+    // Parse an import file into breach metadata and account records.
+    // options: { breach: name for CSV rows without one, account: the email or username
+    // of a breach list export, or the domain of a domain search export (HIBP files
+    // do not name what they were exported for) }
+    static parse(text, fileName, options = {}) {
+        const source = fileName || 'pasted data';
+        const account = String(options.account || '').trim().toLowerCase();
+        const trimmed = String(text || '').trim();
+
+        if (/^[[{]/.test(trimmed)) {
+            const data = JSON.parse(trimmed);
+
+            // HIBP breach model array: the catalogue, or the breaches of one account
+            if (Array.isArray(data)) {
+                const models = data.filter(model => model && typeof model.Name === 'string');
+                if (models.length === 0) {
+                    throw new Error('JSON array has no HIBP breach objects (with "Name")');
+                }
+                return {
+                    breaches: models.map(model => BreachStore.breachFromModel(model, source)),
+                    records: account ? models.map(model => BreachStore.accountRecord(model.Name, account)).filter(Boolean) : [],
+                    skipped: 0
+                };
+            }
+
+            // HIBP domain search export: { "alias": ["Adobe", ...] } or full addresses as keys
+            const entries = Object.entries(data).filter(([, names]) => Array.isArray(names));
+            if (entries.length === 0) {
+                throw new Error('Unrecognized JSON: expected HIBP breaches or a domain search export');
+            }
+            const needsDomain = entries.some(([alias]) => !alias.includes('@'));
+            if (needsDomain && !(account.includes('.') && !account.includes('@'))) {
+                throw new Error('Domain search export: enter the domain it was exported for');
+            }
+            const names = new Set();
+            const records = entries.flatMap(([alias, breaches]) => breaches.map(name => {
+                names.add(name);
+                return BreachStore.accountRecord(name, alias.includes('@') ? alias : `${alias}@${account}`);
+            }));
+            return {
+                breaches: Array.from(names).map(name => ({ name, title: name, source, dataClasses: ['Email addresses'] })),
+                records: records.filter(Boolean),
+                skipped: 0
+            };
+        }
+
+        return BreachStore.parseCsv(trimmed, source, options.breach);
+    }
+
+    // CSV with a header row, or a headerless list with the account first (email:password combos included)
+    static parseCsv(text, source, breachName) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (lines.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        const header = BulkSearch.parseCsvLine(lines[0]).map(cell => cell.trim().toLowerCase());
+        const column = (key) => header.findIndex(cell => BreachStore.CSV_COLUMNS[key].names.includes(cell));
+        const hasHeader = column('email') !== -1 || column('username') !== -1;
+        const defaultBreach = breachName ? String(breachName).trim() : BreachStore.nameFromFile(source);
+
+        const dataClasses = new Set();
+        let readRow;
+        if (hasHeader) {
+            const columns = Object.fromEntries(Object.keys(BreachStore.CSV_COLUMNS).map(key => [key, column(key)]));
+            Object.entries(columns).forEach(([key, index]) => {
+                if (index !== -1 && BreachStore.CSV_COLUMNS[key].dataClass) dataClasses.add(BreachStore.CSV_COLUMNS[key].dataClass);
+            });
+            if (header.some(cell => BreachStore.PASSWORD_COLUMNS.includes(cell))) dataClasses.add('Passwords');
+
+            readRow = (cells) => {
+                const cell = (key) => columns[key] === -1 ? '' : (cells[columns[key]] || '').trim();
+                return {
+                    account: cell('email'),
+                    username: cell('username'),
+                    breach: cell('breach') || defaultBreach,
+                    date: cell('date') || null
+                };
+            };
+        } else {
+            // Combo lists (email:password, user|hash, ...) are cut at the first separator,
+            // so the secret is dropped before the line is read as CSV
+            readRow = (cells, line) => {
+                const cut = line.search(/[:|;\t]/);
+                if (cut !== -1) dataClasses.add('Passwords');
+                const account = BulkSearch.parseCsvLine(cut === -1 ? line : line.slice(0, cut))[0] || '';
+                return { account: account.trim(), username: null, breach: defaultBreach, date: null };
+            };
+        }
+
+        const breaches = new Map();
+        const records = [];
+        let skipped = 0;
+        lines.slice(hasHeader ? 1 : 0).forEach(line => {
+            const row = readRow(BulkSearch.parseCsvLine(line), line);
+            const record = BreachStore.accountRecord(row.breach, row.account, row.username);
+            if (!record) {
+                skipped++;
+                return;
+            }
+            if (record.email) dataClasses.add('Email addresses');
+            if (record.username) dataClasses.add('Usernames');
+            records.push(record);
+
+            const breach = breaches.get(row.breach) || { name: row.breach, title: row.breach, breachDate: null, source };
+            breach.breachDate = breach.breachDate || row.date;
+            breaches.set(row.breach, breach);
+        });
+
+        return {
+            breaches: Array.from(breaches.values()).map(breach => ({ ...breach, dataClasses: Array.from(dataClasses) })),
+            records: records,
+            skipped: skipped
+        };
+    }
+
+    // Parse and store a file; imported metadata is merged into breaches already known
+    async importFile(text, fileName, options = {}) {
+        const parsed = BreachStore.parse(text, fileName, options);
+        const importedAt = new Date().toISOString();
+
+        for (let i = 0; i < parsed.records.length; i += BreachStore.BATCH_SIZE) {
+            await this.database.putAll('breachRecords', parsed.records.slice(i, i + BreachStore.BATCH_SIZE));
+        }
+
+        for (const breach of parsed.breaches) {
+            const existing = (await this.database.get('breaches', breach.name)) || {};
+            const merged = { ...existing };
+            Object.entries(breach).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+                    merged[key] = key === 'dataClasses'
+                        ? Array.from(new Set([...(existing.dataClasses || []), ...value]))
+                        : value;
+                }
+            });
+            merged.importedAt = importedAt;
+            merged.records = await this.database.countFromIndex('breachRecords', 'breach', breach.name);
+            await this.database.put('breaches', merged);
+        }
+
+        return { breaches: parsed.breaches.length, records: parsed.records.length, skipped: parsed.skipped };
+    }
+
+    async listBreaches() {
+        const breaches = await this.database.getAll('breaches');
+        return breaches.sort((a, b) => (b.breachDate || '').localeCompare(a.breachDate || '') || a.name.localeCompare(b.name));
+    }
+
+    async removeBreach(name) {
+        await this.database.deleteFromIndex('breachRecords', 'breach', name);
+        await this.database.delete('breaches', name);
+    }
+
+    async clear() {
+        await this.database.clear('breachRecords');
+        await this.database.clear('breaches');
+    }
+
+    // Breaches that include an email address or username, or any account at a domain.
+    // A domain also matches breaches of the service itself (HIBP "Domain").
+    async search(query, searchType) {
+        const value = String(query).trim().toLowerCase();
+        const index = { email: 'email', username: 'username', domain: 'domain' }[searchType];
+        if (!index) {
+            return { found: false, query: value, error: `Breach lookups do not support ${searchType} targets` };
+        }
+
+        const [records, known] = await Promise.all([
+            this.database.getAllFromIndex('breachRecords', index, value),
+            this.database.getAll('breaches')
+        ]);
+        const byName = new Map(known.map(breach => [breach.name, breach]));
+
+        const matches = new Map();
+        const match = (name) => {
+            if (!matches.has(name)) {
+                matches.set(name, { ...(byName.get(name) || { name, title: name, dataClasses: [] }), accounts: [], serviceBreach: false });
+            }
+            return matches.get(name);
+        };
+        records.forEach(record => match(record.breach).accounts.push(record.email || record.username));
+        if (searchType === 'domain') {
+            known.filter(breach => breach.domain === value).forEach(breach => { match(breach.name).serviceBreach = true; });
+        }
+
+        const breaches = Array.from(matches.values())
+            .sort((a, b) => (b.breachDate || '').localeCompare(a.breachDate || '') || a.name.localeCompare(b.name));
+        return {
+            found: breaches.length > 0,
+            query: value,
+            breaches: breaches,
+            totalBreaches: breaches.length,
+            totalAccounts: new Set(records.map(record => record.email || record.username)).size,
+            breachesInCorpus: known.length,
+            message: breaches.length > 0 ? null : `Not found in ${known.length} imported breaches`,
+            collectionMethod: 'Local breach corpus'
+        };
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.BreachStore = BreachStore;
+}
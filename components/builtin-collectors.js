@@ -0,0 +1,590 @@
+// Built-in OSINT Collectors - registered with the CollectorRegistry at startup
+// Each definition binds OSINTCollector methods (context.collector) to the entity
+// types it accepts and emits, plus the card renderer used in the Overview tab.
+
+// Email targets are looked up through their domain part, URLs through their host
+function targetDomain(query, searchType) {
+    if (searchType === 'email') return query.split('@').pop();
+    if (searchType === 'url') return TargetTypes.parseURL(query)?.host || query;
+    return query;
+}
+
+const BUILTIN_COLLECTORS = [
+    {
+        name: 'certificate_transparency',
+        label: 'Certificate Transparency',
+        accepts: ['domain', 'email', 'url'],
+        emits: ['subdomain', 'certificate', 'domain'],
+        settings: {},
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getCertificateData(targetDomain(query, searchType), settings),
+        render: ({ data }, { escapeHtml }) => `
+            <div class="data-content">
+                <h5>🔒 Certificate Intelligence</h5>
+                <div class="cert-info">
+                    <p><strong>Certificates:</strong> ${data.totalCertificates || 0}
+                        (${data.validCertificates || 0} valid, ${data.expiredCertificates || 0} expired)</p>
+                    ${data.subdomains && data.subdomains.length > 0 ? `
+                        <p><strong>Subdomains Found:</strong> ${data.subdomains.length} —
+                            ${data.subdomains.slice(0, 10).map(escapeHtml).join(', ')}${data.subdomains.length > 10 ? '...' : ''}</p>
+                    ` : ''}
+                    ${data.wildcards && data.wildcards.length > 0 ? `
+                        <p><strong>Wildcards:</strong> ${data.wildcards.map(escapeHtml).join(', ')}</p>
+                    ` : ''}
+                    ${data.issuerStats && data.issuerStats.length > 0 ? `
+                        <p><strong>Certificate Authorities:</strong> ${data.issuerStats
+                            .map(issuer => `${escapeHtml(issuer.issuer)} (${issuer.total}, ${issuer.valid} valid)`).join(', ')}</p>
+                    ` : ''}
+                    ${data.relatedDomains && data.relatedDomains.length > 0 ? `
+                        <p><strong>Shares certificates with:</strong> ${data.relatedDomains.slice(0, 15)
+                            .map(related => `${escapeHtml(related.name)} (${related.certificates})`).join(', ')}${data.relatedDomains.length > 15 ? '...' : ''}</p>
+                    ` : ''}
+                    ${data.certificates && data.certificates.length > 0 ? CertificateTable.render(data.certificates, { escapeHtml }) : ''}
+                </div>
+            </div>
+        `
+    },
+    {
+        name: 'subdomain_inventory',
+        label: 'Subdomain Inventory',
+        accepts: ['domain', 'email', 'url'],
+        emits: ['subdomain', 'ip', 'cidr', 'organization'],
+        settings: {
+            maxSubdomains: 100,
+            maxGeolocations: 50
+        },
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getSubdomainInventory(targetDomain(query, searchType), settings),
+        render: ({ data }, { escapeHtml }) => {
+            if (!data.inventory) {
+                return `<div class="data-content"><h5>🗺️ Subdomain Inventory</h5><p>${escapeHtml(data.message || 'No subdomains found')}</p></div>`;
+            }
+            const clusters = (groups) => groups.slice(0, 10).map(group =>
+                `${escapeHtml(group.name)} (${group.hostnames.length} host${group.hostnames.length === 1 ? '' : 's'}, ${group.addresses.length} IP${group.addresses.length === 1 ? '' : 's'})`
+            ).join(', ') + (groups.length > 10 ? '...' : '');
+
+            return `
+                <div class="data-content">
+                    <h5>🗺️ Subdomain Inventory</h5>
+                    <div class="dns-info">
+                        <p><strong>Subdomains:</strong> ${data.totalSubdomains}${data.subdomainsTruncated ? `, first ${data.resolvedSubdomains} resolved` : ''}
+                            (${data.liveSubdomains} live, ${data.deadSubdomains} not resolving${data.unresolvedSubdomains > 0 ? `, ${data.unresolvedSubdomains} lookup failed` : ''})</p>
+                        <p><strong>Addresses:</strong> ${data.addresses.length}, ${data.geolocatedAddresses} geolocated${data.geolocationTruncated ? ' (geolocation capped)' : ''}</p>
+                        ${data.organizationClusters.length > 0 ? `<p><strong>Hosting organizations:</strong> ${clusters(data.organizationClusters)}</p>` : ''}
+                        ${data.blockClusters.length > 0 ? `<p><strong>Network blocks:</strong> ${clusters(data.blockClusters)}</p>` : ''}
+                        ${data.inventory.length > 0 ? `
+                            <div class="bulk-table-wrap">
+                                <table class="bulk-table">
+                                    <thead>
+                                        <tr><th>Subdomain</th><th>Status</th><th>Addresses</th><th>Organization</th><th>Block</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        ${data.inventory.map(host => `
+                                            <tr>
+                                                <td>${escapeHtml(host.hostname)}</td>
+                                                <td><span class="host-status ${host.status}">${{ live: 'Live', dead: 'Dead', unknown: 'Lookup failed' }[host.status]}</span></td>
+                                                <td>${host.addresses.map(escapeHtml).join('<br>')}</td>
+                                                <td>${host.organizations.map(escapeHtml).join('<br>')}</td>
+                                                <td>${host.blocks.map(escapeHtml).join('<br>')}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'dns_records',
+        label: 'DNS over HTTPS',
+        accepts: ['domain', 'email', 'url'],
+        emits: ['ip', 'domain'],
+        settings: {
+            recordTypes: ['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME', 'SOA', 'CAA'],
+            srvServices: null,
+            dnssec: true
+        },
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getDNSRecords(targetDomain(query, searchType), settings),
+        render: ({ data }, { escapeHtml }) => {
+            const ttl = (type) => data.recordDetails?.[type]?.length > 0 ? ` <small>(TTL ${data.recordDetails[type][0].ttl}s)</small>` : '';
+            const list = (values) => values.map(escapeHtml).join(', ');
+
+            return `
+                <div class="data-content">
+                    <h5>🌐 DNS Intelligence</h5>
+                    <div class="dns-info">
+                        ${data.ipAddresses && data.ipAddresses.length > 0 ? `
+                            <p><strong>IP Addresses:</strong> ${list(data.ipAddresses)}${ttl('A')}</p>
+                        ` : ''}
+                        ${data.ipv6Addresses && data.ipv6Addresses.length > 0 ? `
+                            <p><strong>IPv6 Addresses:</strong> ${list(data.ipv6Addresses)}${ttl('AAAA')}</p>
+                        ` : ''}
+                        ${data.nameservers && data.nameservers.length > 0 ? `
+                            <p><strong>Name Servers:</strong> ${list(data.nameservers)}${ttl('NS')}</p>
+                        ` : ''}
+                        ${data.mailServers && data.mailServers.length > 0 ? `
+                            <p><strong>Mail Servers:</strong> ${list(data.mailServers)}${ttl('MX')}</p>
+                        ` : ''}
+                        ${data.textRecords && data.textRecords.length > 0 ? `
+                            <p><strong>TXT Records:</strong> ${data.textRecords.length} found${ttl('TXT')}</p>
+                            <ul class="dns-txt">${data.textRecords.map(record => `<li><code>${escapeHtml(record)}</code></li>`).join('')}</ul>
+                        ` : ''}
+                        ${data.soa ? `
+                            <p><strong>SOA:</strong> ${escapeHtml(data.soa.primaryNs)}, ${escapeHtml(data.soa.responsibleMailbox)}, serial ${data.soa.serial}${ttl('SOA')}</p>
+                        ` : ''}
+                        ${data.caaRecords && data.caaRecords.length > 0 ? `
+                            <p><strong>CAA:</strong> ${data.caaRecords.map(caa => escapeHtml(caa.tag ? `${caa.tag} ${caa.value}` : caa.value)).join(', ')}</p>
+                        ` : ''}
+                        ${data.srvRecords && data.srvRecords.length > 0 ? `
+                            <p><strong>SRV:</strong> ${data.srvRecords.map(srv => escapeHtml(`${srv.service} → ${srv.target}:${srv.port}`)).join(', ')}</p>
+                        ` : ''}
+                        ${data.dnssec ? `
+                            <p><strong>DNSSEC:</strong> ${escapeHtml(data.dnssec.status)}${data.dnssec.dnskey.length > 0 ? ` (${data.dnssec.dnskey.length} DNSKEY, ${data.dnssec.ds.length} DS)` : ''}</p>
+                        ` : ''}
+                        ${data.resolverComparison ? `
+                            <p><strong>Resolver comparison:</strong> ${data.resolverComparison.consistent
+                                ? `consistent across ${data.resolverComparison.resolvers.map(escapeHtml).join(', ')}`
+                                : 'answers differ (split-horizon, geo load balancing or a poisoned resolver)'}</p>
+                            ${data.resolverComparison.differences.map(difference => `
+                                <p><small>${difference.type}: ${difference.answers.map(answer => `${escapeHtml(answer.resolver)} = ${list(answer.values) || 'none'}`).join('; ')}</small></p>
+                            `).join('')}
+                        ` : ''}
+                        ${data.resolver ? `<p><small>Resolver: ${escapeHtml(data.resolver)}</small></p>` : ''}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'email_security',
+        label: 'Email Security Posture',
+        accepts: ['domain', 'email', 'url'],
+        emits: [],
+        settings: {
+            dkimSelectors: null,
+            fetchMtaStsPolicy: true
+        },
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getEmailSecurity(targetDomain(query, searchType), settings),
+        render: ({ data }, { escapeHtml }) => {
+            const { spf, dmarc, dkim, mtaSts, tlsRpt, bimi, assessment } = data;
+            const keys = dkim.selectors.filter(selector => !selector.revoked);
+
+            return `
+                <div class="data-content">
+                    <h5>🛡️ Email Security</h5>
+                    <div class="email-security">
+                        <p class="security-grade grade-${assessment.grade.toLowerCase()}">
+                            Grade ${assessment.grade} (${assessment.score}/100) · Spoofability: <strong>${assessment.spoofability}</strong>
+                        </p>
+                        ${data.nullMx ? '<p>Null MX: the domain does not accept mail</p>' : data.mxHosts.length > 0
+                            ? `<p><strong>MX:</strong> ${data.mxHosts.map(escapeHtml).join(', ')}</p>` : '<p><strong>MX:</strong> none</p>'}
+                        <p><strong>SPF:</strong> ${spf.record
+                            ? `<code>${escapeHtml(spf.record)}</code><br><small>${spf.lookups}/${EmailSecurity.SPF_LOOKUP_LIMIT} DNS lookups${spf.includes.length > 0 ? `, includes ${spf.includes.map(escapeHtml).join(', ')}` : ''}</small>`
+                            : 'not published'}</p>
+                        <p><strong>DMARC:</strong> ${dmarc.record
+                            ? `p=${escapeHtml(dmarc.policy || 'invalid')}${dmarc.subdomainPolicy ? `, sp=${escapeHtml(dmarc.subdomainPolicy)}` : ''}, pct=${dmarc.pct}${dmarc.rua.length > 0 ? `, reports to ${dmarc.rua.map(escapeHtml).join(', ')}` : ''}${dmarc.inherited ? ` (from ${escapeHtml(dmarc.domain)})` : ''}`
+                            : 'not published'}</p>
+                        <p><strong>DKIM:</strong> ${keys.length > 0
+                            ? keys.map(key => `${escapeHtml(key.selector)} (${escapeHtml(key.keyType)}${key.keyBits ? ` ~${key.keyBits} bit` : ''})`).join(', ')
+                            : `none of ${dkim.probed} common selectors`}</p>
+                        <p><strong>MTA-STS:</strong> ${mtaSts.record ? (mtaSts.policy ? `mode ${escapeHtml(mtaSts.policy.mode)}` : 'published (policy not fetched)') : 'not published'}
+                            · <strong>TLS-RPT:</strong> ${tlsRpt.record ? 'published' : 'not published'}
+                            · <strong>BIMI:</strong> ${bimi.record ? 'published' : 'not published'}</p>
+                        ${assessment.findings.length > 0 ? `
+                            <ul class="security-findings">
+                                ${assessment.findings.map(finding => `
+                                    <li class="severity-${finding.severity}"><strong>${finding.severity.toUpperCase()}</strong> ${escapeHtml(finding.area)}: ${escapeHtml(finding.message)}</li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'email_format',
+        label: 'Email Format Inference',
+        accepts: ['domain', 'email', 'url'],
+        emits: [],
+        settings: {
+            names: [],
+            candidateFormats: 3
+        },
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getEmailFormats(targetDomain(query, searchType), {
+                ...settings,
+                addresses: searchType === 'email' ? [query] : []
+            }),
+        render: ({ data }, { escapeHtml }) => {
+            const percent = (share) => `${Math.round(share * 100)}%`;
+            const confidence = { prior: 'no addresses observed, ranked by typical usage', low: 'low', medium: 'medium', high: 'high' };
+            const basis = { name: 'matches a listed name', shape: 'layout only', role: 'role mailbox', unmatched: 'no format fits' };
+            return `
+                <div class="data-content">
+                    <h5>🔤 Email Address Format</h5>
+                    <div class="email-formats">
+                        <p><strong>Accepts mail:</strong> ${data.acceptsMail ? 'Yes' : 'No'} <small>(${escapeHtml(data.mailBasis)})</small></p>
+                        <p><strong>Likely format:</strong> <code>${escapeHtml(data.formats[0].example)}@${escapeHtml(data.domain)}</code>
+                            (${escapeHtml(data.bestFormat)}, ${percent(data.formats[0].share)}) · Confidence: ${confidence[data.confidence]}</p>
+                        <table class="bulk-table">
+                            <thead><tr><th>Format</th><th>Example</th><th>Share</th><th>Evidence</th></tr></thead>
+                            <tbody>
+                                ${data.formats.slice(0, 6).map(format => `
+                                    <tr>
+                                        <td>${escapeHtml(format.id)}</td>
+                                        <td><code>${escapeHtml(format.example)}</code></td>
+                                        <td>${percent(format.share)}</td>
+                                        <td>${format.matches.length > 0 ? `${format.evidence} (${format.matches.map(escapeHtml).join(', ')})` : '—'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        ${data.observedAddresses.length > 0 ? `
+                            <p><strong>Observed addresses:</strong></p>
+                            <ul class="format-observed">
+                                ${data.observedAddresses.map(entry => `
+                                    <li><code>${escapeHtml(entry.address)}</code> <small>${escapeHtml(entry.source)} · ${basis[entry.basis]}${entry.person ? ` (${escapeHtml(entry.person)})` : ''}</small></li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                        <div class="format-names">
+                            <textarea class="search-input" data-email-format-names rows="4"
+                                placeholder="Employee names, one per line (Jane Doe or Doe, Jane)">${data.names.map(person => escapeHtml(person.name)).join('\n')}</textarea>
+                            <button class="case-btn" data-email-format-apply>Generate candidates</button>
+                            <small>Also counts addresses at ${escapeHtml(data.domain)} found by the other sources of this case.</small>
+                        </div>
+                        ${data.candidates.length > 0 ? `
+                            <table class="bulk-table">
+                                <thead><tr><th>Name</th><th>Candidate</th><th>Format</th><th>Share</th></tr></thead>
+                                <tbody>
+                                    ${data.candidates.map(candidate => `
+                                        <tr>
+                                            <td>${escapeHtml(candidate.name)}</td>
+                                            <td><code>${escapeHtml(candidate.address)}</code>${candidate.observed ? ' <small>(observed)</small>' : ''}</td>
+                                            <td>${escapeHtml(candidate.format)}</td>
+                                            <td>${percent(candidate.share)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                            ${data.acceptsMail ? '' : '<p><small>The domain does not accept mail, so none of these addresses can receive it.</small></p>'}
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'breach_corpus',
+        label: 'Breach Corpus',
+        accepts: ['email', 'username', 'domain'],
+        emits: [],
+        settings: {},
+        collect: (query, searchType, { collector }) => collector.searchBreaches(query, searchType),
+        render: ({ data }, { escapeHtml }) => {
+            // Domain searches can match thousands of accounts; list the first few per breach
+            const maxAccounts = 20;
+            return `
+                <div class="data-content">
+                    <h5>🔓 Breach Corpus</h5>
+                    <div class="breach-info">
+                        <p><strong>Breaches:</strong> ${data.totalBreaches} of ${data.breachesInCorpus} imported
+                            ${data.totalAccounts > 1 ? ` · ${data.totalAccounts} accounts` : ''}</p>
+                        ${data.breaches.map(breach => `
+                            <div class="breach-item">
+                                <p><strong>${escapeHtml(breach.title)}</strong>
+                                    ${breach.breachDate ? ` · breached ${escapeHtml(breach.breachDate)}` : ''}
+                                    ${breach.pwnCount ? ` · ${Number(breach.pwnCount).toLocaleString()} accounts` : ''}
+                                    ${breach.serviceBreach ? ' · <span class="stat">the domain\'s own service</span>' : ''}</p>
+                                ${breach.dataClasses && breach.dataClasses.length > 0 ? `
+                                    <p><small>${breach.dataClasses.map(escapeHtml).join(', ')}</small></p>
+                                ` : ''}
+                                ${breach.accounts.length > 0 && (breach.accounts.length > 1 || breach.accounts[0] !== data.query) ? `
+                                    <p><small>${breach.accounts.slice(0, maxAccounts).map(escapeHtml).join(', ')}${breach.accounts.length > maxAccounts ? ` and ${breach.accounts.length - maxAccounts} more` : ''}</small></p>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'social_presence',
+        label: 'Social Platform Check',
+        accepts: ['username'],
+        emits: ['social_profile'],
+        settings: {},
+        collect: (query, searchType, { collector }) => collector.checkSocialPresence(query),
+        render: ({ data }, { escapeHtml }) => {
+            const labels = { exists: 'Exists', not_found: 'Not found', rate_limited: 'Rate limited', unknown: 'Unknown' };
+            const profileItem = (profile) => `
+                <div class="profile-item">
+                    <span class="platform">${escapeHtml(profile.platform)}</span>
+                    ${profile.category ? `<small>${escapeHtml(profile.category)}</small>` : ''}
+                    <span class="profile-status ${escapeHtml(profile.status)}" title="${escapeHtml(profile.reason || '')}">${labels[profile.status] || escapeHtml(profile.status)}</span>
+                    <a href="${escapeHtml(profile.url)}" target="_blank" rel="noopener">View Profile</a>
+                </div>
+            `;
+            const profiles = data.profiles || [];
+            const missing = profiles.filter(profile => profile.status === 'not_found');
+            const order = ['exists', 'rate_limited', 'unknown'];
+            const listed = profiles.filter(profile => profile.status !== 'not_found')
+                .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+            return `
+                <div class="data-content">
+                    <h5>👥 Social Media Intelligence</h5>
+                    <div class="social-info">
+                        <p><strong>Platforms Found:</strong> ${data.totalFound || 0}/${data.totalChecked || 0}
+                            ${data.totalRateLimited > 0 ? ` · ${data.totalRateLimited} rate limited` : ''}
+                            ${data.totalUnknown > 0 ? ` · ${data.totalUnknown} unknown` : ''}</p>
+                        ${data.proxyAvailable === false ? `
+                            <p><small>Profile proxy not reachable: start <code>node server/profile-proxy.js</code> to check profiles automatically.</small></p>
+                        ` : ''}
+                        ${data.categories && data.categories.length > 0 ? `
+                            <p><strong>Categories:</strong> ${data.categories.map(escapeHtml).join(', ')}</p>
+                        ` : ''}
+                        ${listed.length > 0 ? `<div class="profile-list">${listed.map(profileItem).join('')}</div>` : ''}
+                        ${missing.length > 0 ? `
+                            <details>
+                                <summary>${missing.length} not found</summary>
+                                <div class="profile-list">${missing.map(profileItem).join('')}</div>
+                            </details>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'email_analysis',
+        label: 'Email Analysis',
+        accepts: ['email'],
+        emits: ['domain', 'username'],
+        settings: {},
+        collect: (query, searchType, { collector }) => collector.analyzeEmail(query),
+        render: ({ data }, { escapeHtml }) => `
+            <div class="data-content">
+                <h5>📧 Email Intelligence</h5>
+                <div class="email-info">
+                    <p><strong>Username:</strong> ${escapeHtml(data.username)}</p>
+                    <p><strong>Domain:</strong> ${escapeHtml(data.domain)}</p>
+                    ${data.structure ? `
+                        <div class="structure-info">
+                            <p><strong>Username Length:</strong> ${data.structure.usernameLength}</p>
+                            <p><strong>Has Numbers:</strong> ${data.structure.hasNumbers ? 'Yes' : 'No'}</p>
+                            <p><strong>Special Characters:</strong> ${data.structure.hasSpecialChars ? 'Yes' : 'No'}</p>
+                        </div>
+                    ` : ''}
+                    ${data.localPart ? `
+                        <p><strong>Local Part Format:</strong> ${data.localPart.basis === 'role' ? 'role mailbox'
+                            : data.localPart.formats.length > 0 ? data.localPart.formats.join(' / ') : 'no name-based format'}</p>
+                    ` : ''}
+                    ${data.domainDNS && data.domainDNS.found ? `
+                        <p><strong>Domain Intelligence:</strong> DNS records found</p>
+                    ` : ''}
+                    ${data.socialProfiles && data.socialProfiles.found ? `
+                        <p><strong>Social Profiles:</strong> ${data.socialProfiles.totalFound} profiles found</p>
+                    ` : ''}
+                </div>
+            </div>
+        `
+    },
+    {
+        name: 'ip_geolocation',
+        label: 'IP Geolocation',
+        accepts: ['ip'],
+        emits: ['organization'],
+        settings: {},
+        collect: (query, searchType, { collector }) => collector.getIPGeolocation(query),
+        render: ({ data }, { escapeHtml }) => `
+            <div class="data-content">
+                <h5>🌍 IP Intelligence</h5>
+                <div class="ip-info">
+                    <p><strong>Country:</strong> ${escapeHtml(data.country || 'Unknown')}</p>
+                    <p><strong>Region:</strong> ${escapeHtml(data.region || 'Unknown')}</p>
+                    <p><strong>City:</strong> ${escapeHtml(data.city || 'Unknown')}</p>
+                    <p><strong>Organization:</strong> ${escapeHtml(data.organization || data.isp || 'Unknown')}</p>
+                    ${data.coordinates && data.coordinates.lat ? `
+                        <p><strong>Coordinates:</strong> ${escapeHtml(data.coordinates.lat)}, ${escapeHtml(data.coordinates.lon)}</p>
+                    ` : ''}
+                    ${data.timezone ? `<p><strong>Timezone:</strong> ${escapeHtml(data.timezone)}</p>` : ''}
+                </div>
+            </div>
+        `
+    },
+    {
+        name: 'reverse_dns',
+        label: 'Reverse DNS (PTR)',
+        accepts: ['ip'],
+        emits: ['domain'],
+        settings: {
+            forwardConfirm: true,
+            maxHostnames: 10
+        },
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getReverseDNS(query, settings),
+        render: ({ data }, { escapeHtml }) => `
+            <div class="data-content">
+                <h5>↩️ Reverse DNS</h5>
+                <div class="dns-info">
+                    <p><strong>PTR Name:</strong> ${escapeHtml(data.reverseName)}</p>
+                    ${data.hostnames.length === 0 ? '<p>No PTR records published</p>' : ''}
+                    ${(data.ptrRecords || data.hostnames.map(hostname => ({ hostname: hostname }))).map(record => `
+                        <p><strong>${escapeHtml(record.hostname)}</strong>
+                            ${record.confirmed === undefined ? '' : record.confirmed
+                                ? '(forward-confirmed)'
+                                : `(not confirmed${record.forwardAddresses.length > 0 ? `: resolves to ${escapeHtml(record.forwardAddresses.join(', '))}` : ''})`}</p>
+                    `).join('')}
+                </div>
+            </div>
+        `
+    },
+    {
+        name: 'ip_range',
+        label: 'CIDR Range Sweep',
+        accepts: ['cidr'],
+        emits: ['ip', 'organization'],
+        settings: {
+            maxAddresses: 16
+        },
+        collect: (query, searchType, { collector, settings }) =>
+            collector.getRangeIntelligence(query, settings),
+        render: ({ data }, { escapeHtml }) => `
+            <div class="data-content">
+                <h5>🧭 Range Intelligence</h5>
+                <div class="ip-info">
+                    <p><strong>Range:</strong> ${escapeHtml(data.range)} (IPv${data.version}, ${escapeHtml(data.totalAddresses)} host addresses)</p>
+                    <p><strong>Scanned:</strong> ${data.scannedAddresses}${data.truncated ? ` (capped at ${data.scannedAddresses})` : ''},
+                        ${data.respondingAddresses} with data${data.flaggedAddresses > 0 ? `, ${data.flaggedAddresses} flagged as special-purpose` : ''}</p>
+                    ${data.organizations.length > 0 ? `
+                        <p><strong>Organizations:</strong> ${data.organizations.map(org => `${escapeHtml(org.name)} (${org.count})`).join(', ')}</p>
+                    ` : ''}
+                    ${data.countries.length > 0 ? `
+                        <p><strong>Countries:</strong> ${data.countries.map(country => `${escapeHtml(country.name)} (${country.count})`).join(', ')}</p>
+                    ` : ''}
+                    ${data.hostnames.length > 0 ? `
+                        <p><strong>Reverse DNS:</strong> ${data.hostnames.slice(0, 10).map(escapeHtml).join(', ')}${data.hostnames.length > 10 ? '...' : ''}</p>
+                    ` : ''}
+                </div>
+            </div>
+        `
+    },
+    {
+        name: 'rdap_registration',
+        label: 'RDAP Registration',
+        accepts: ['domain', 'email', 'url', 'ip', 'cidr', 'asn'],
+        emits: [],
+        settings: {},
+        collect: (query, searchType, { collector }) =>
+            collector.getRegistrationData(targetDomain(query, searchType), ['email', 'url'].includes(searchType) ? 'domain' : searchType),
+        render: ({ data }, { escapeHtml }) => {
+            if (!data.found) {
+                return `
+                    <div class="data-content">
+                        <h5>📇 Registration (RDAP)</h5>
+                        <p>${escapeHtml(data.message || 'No registration data')} for ${escapeHtml(data.query)}</p>
+                    </div>
+                `;
+            }
+
+            const date = (value) => value ? escapeHtml(new Date(value).toLocaleDateString()) : 'Not published';
+            const range = data.network
+                ? `${data.network.startAddress} - ${data.network.endAddress}${data.network.cidrs.length > 0 ? ` (${data.network.cidrs.join(', ')})` : ''}`
+                : data.autnum ? `AS${data.autnum.start}${data.autnum.end !== data.autnum.start ? ` - AS${data.autnum.end}` : ''}` : null;
+            const country = (data.network || data.autnum || {}).country;
+
+            return `
+                <div class="data-content">
+                    <h5>📇 Registration (RDAP)</h5>
+                    <div class="ip-info">
+                        <p><strong>Object:</strong> ${escapeHtml(data.name || data.query)}${data.handle ? ` (${escapeHtml(data.handle)})` : ''}</p>
+                        ${range ? `<p><strong>Range:</strong> ${escapeHtml(range)}</p>` : ''}
+                        ${country ? `<p><strong>Country:</strong> ${escapeHtml(country)}</p>` : ''}
+                        ${data.registrar ? `<p><strong>Registrar:</strong> ${escapeHtml(data.registrar)}${data.registrarIanaId ? ` (IANA ID ${escapeHtml(data.registrarIanaId)})` : ''}</p>` : ''}
+                        <p><strong>Created:</strong> ${date(data.createdAt)}</p>
+                        <p><strong>Updated:</strong> ${date(data.updatedAt)}</p>
+                        ${data.objectType === 'domain' ? `<p><strong>Expires:</strong> ${date(data.expiresAt)}</p>` : ''}
+                        ${data.status.length > 0 ? `<p><strong>Status:</strong> ${data.status.map(escapeHtml).join(', ')}</p>` : ''}
+                        ${data.nameservers.length > 0 ? `<p><strong>Name Servers:</strong> ${data.nameservers.map(escapeHtml).join(', ')}</p>` : ''}
+                        ${data.contacts.map(contact => `
+                            <p><strong>${escapeHtml(contact.roles.join(', ') || 'contact')}:</strong>
+                                ${escapeHtml([contact.name, contact.organization, contact.email, contact.phone, contact.address].filter(Boolean).join(' · ') || 'Redacted')}</p>
+                        `).join('')}
+                        <p><small>Source: <a href="${escapeHtml(data.rdapUrl)}" target="_blank" rel="noopener">${escapeHtml(data.rdapServer)}</a></small></p>
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'target_analysis',
+        label: 'Target Analysis',
+        accepts: ['url', 'phone', 'asn', 'hash', 'wallet'],
+        emits: ['domain', 'ip'],
+        settings: {},
+        collect: async (query, searchType) =>
+            TargetTypes.analyze(query, searchType) || { found: false, query: query, error: `Not a valid ${searchType} target` },
+        render: ({ data, searchType }, { escapeHtml }) => {
+            const rows = {
+                url: () => [
+                    ['Host', `${data.host}${data.port ? `:${data.port}` : ''} (${data.hostType})`],
+                    ['Scheme', data.protocol],
+                    ['Path', data.path],
+                    ['Query', Object.entries(data.query || {}).map(([key, values]) => `${key}=${values.join(', ')}`).join('; ')],
+                    ['Fragment', data.fragment],
+                    ['Credentials in URL', data.hasCredentials ? 'yes' : null]
+                ],
+                phone: () => [
+                    ['E.164', data.e164],
+                    ['Country', `${data.country}${data.countryCode ? ` (+${data.countryCode})` : ''}`],
+                    ['National number', data.nationalNumber],
+                    ['Area / carrier prefix', data.carrierPrefix]
+                ],
+                asn: () => [
+                    ['AS number', `${data.asn} (${data.format})`],
+                    ['Reserved', data.reserved]
+                ],
+                hash: () => [
+                    ['Algorithm', data.algorithm.toUpperCase()],
+                    ['Hash', data.hash]
+                ],
+                wallet: () => [
+                    ['Chain', data.chain],
+                    ['Format', data.format],
+                    ['Checksum', data.checksum]
+                ]
+            }[searchType]?.() || [];
+
+            return `
+                <div class="data-content">
+                    <h5>🧩 Target Analysis</h5>
+                    <div class="ip-info">
+                        ${rows.filter(([, value]) => value).map(([label, value]) => `
+                            <p><strong>${label}:</strong> ${escapeHtml(value)}</p>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+    },
+    {
+        name: 'search_intelligence',
+        label: 'Search Query Generation',
+        accepts: ['email', 'domain', 'username', 'ip', 'url', 'phone', 'asn', 'hash', 'wallet'],
+        emits: [],
+        settings: {},
+        collect: (query, searchType, { collector }) => collector.searchEngineIntelligence(query, searchType)
+    }
+];
+
+// Export for use in the source manager
+if (typeof window !== 'undefined') {
+    window.BUILTIN_COLLECTORS = BUILTIN_COLLECTORS;
+}
\ No newline at end of file
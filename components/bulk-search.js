@@ -0,0 +1,150 @@
+// Bulk Target Search - parse target lists and run them through a shared queue
+class BulkSearch {
+    // First-row cells that mark a CSV header rather than a target
+    static get HEADER_NAMES() {
+        return ['target', 'targets', 'domain', 'email', 'ip', 'host', 'hostname', 'username', 'asset', 'value', 'indicator', 'scope'];
+    }
+
+    // Split a pasted list or TXT/CSV file into unique targets.
+    // CSV files contribute their first column; plain lists are split on newlines, commas, semicolons and whitespace.
+    static parseTargets(text, options = {}) {
+        const values = [];
+        const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+        if (options.csv) {
+            lines.forEach((line, index) => {
+                const first = BulkSearch.parseCsvLine(line)[0]?.trim();
+                if (!first) return;
+                if (index === 0 && BulkSearch.HEADER_NAMES.includes(first.toLowerCase())) return;
+                values.push(first);
+            });
+        } else {
+            lines.forEach(line => values.push(...line.split(/[\s,;]+/)));
+        }
+
+        const seen = new Set();
+        return values
+            .map(value => value.trim().replace(/^["']|["']$/g, ''))
+            .filter(value => {
+                const key = value.toLowerCase();
+                if (!value || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    static parseCsvLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',' || char === ';' || char === '\t') {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell);
+        return cells;
+    }
+
+    // options: { concurrency, interval, getSources(searchType), querySource(sourceId, query, searchType) }
+    constructor(options) {
+        this.getSources = options.getSources;
+        this.querySource = options.querySource;
+        this.queue = new TaskQueue({ concurrency: options.concurrency, interval: options.interval });
+        this.cancelled = false;
+    }
+
+    // Per-target progress records
+    plan(queries, detectSearchType) {
+        return queries.map(query => {
+            const searchType = detectSearchType(query);
+            return {
+                query: query,
+                searchType: searchType,
+                status: 'queued',
+                sources: this.getSources(searchType).length,
+                completed: 0,
+                succeeded: 0,
+                found: false
+            };
+        });
+    }
+
+    // Queue every (target, source) lookup; callbacks fire as each one settles
+    async run(targets, { onResult, onProgress }) {
+        const lookups = [];
+
+        targets.forEach(target => {
+            if (target.sources === 0) {
+                target.status = 'failed';
+                onProgress(target);
+                return;
+            }
+
+            this.getSources(target.searchType).forEach(source => {
+                lookups.push(this.queue.push(() => {
+                    if (target.status === 'queued') {
+                        target.status = 'running';
+                        onProgress(target);
+                    }
+                    return this.querySource(source.id, target.query, target.searchType);
+                }).then(result => {
+                    target.completed++;
+                    if (result.success) {
+                        target.succeeded++;
+                        target.found = target.found || Boolean(result.data.found);
+                    }
+                    onResult(target, result, source);
+                }, error => {
+                    if (error.cancelled) return;
+                    target.completed++;
+                    onResult(target, null, source, error);
+                }).finally(() => {
+                    if (target.completed === target.sources) {
+                        target.status = target.succeeded > 0 ? 'done' : 'failed';
+                    } else if (this.cancelled && target.status === 'queued') {
+                        target.status = 'cancelled';
+                    }
+                    onProgress(target);
+                }));
+            });
+        });
+
+        await Promise.all(lookups);
+
+        // Targets cut short by a cancel keep the results they already have
+        targets.forEach(target => {
+            if (this.cancelled && (target.status === 'running' || target.status === 'queued')) {
+                target.status = 'cancelled';
+                onProgress(target);
+            }
+        });
+        return targets;
+    }
+
+    cancel() {
+        this.cancelled = true;
+        return this.queue.clear();
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.BulkSearch = BulkSearch;
+}
\ No newline at end of file
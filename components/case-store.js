@@ -0,0 +1,95 @@
+// Investigation Case Store - named, persisted investigations
+class CaseStore {
+    constructor(database) {
+        this.database = database;
+        this.storeName = 'cases';
+    }
+
+    async initialize() {
+        await this.database.open();
+        return true;
+    }
+
+    // Cases sorted with the most recently updated first
+    async listCases() {
+        const cases = await this.database.getAll(this.storeName);
+        return cases
+            .map(record => ({
+                id: record.id,
+                name: record.name,
+                createdAt: record.createdAt,
+                updatedAt: record.updatedAt,
+                searchCount: record.investigation?.searches?.length || 0
+            }))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    async getCase(caseId) {
+        return (await this.database.get(this.storeName, caseId)) || null;
+    }
+
+    async createCase(name, investigation = null, graph = null) {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            name: name,
+            createdAt: now,
+            updatedAt: now,
+            investigation: investigation,
+            graph: graph
+        };
+
+        await this.database.put(this.storeName, record);
+        return record;
+    }
+
+    // Store the latest investigation state (searches, raw source results, graph)
+    async saveInvestigation(caseId, investigation, graph) {
+        const record = await this.getCase(caseId);
+        if (!record) {
+            throw new Error(`Case not found: ${caseId}`);
+        }
+
+        record.investigation = investigation;
+        record.graph = graph;
+        record.updatedAt = new Date().toISOString();
+
+        await this.database.put(this.storeName, record);
+        return record;
+    }
+
+    async renameCase(caseId, name) {
+        const record = await this.getCase(caseId);
+        if (!record) {
+            throw new Error(`Case not found: ${caseId}`);
+        }
+
+        record.name = name;
+        record.updatedAt = new Date().toISOString();
+
+        await this.database.put(this.storeName, record);
+        return record;
+    }
+
+    async duplicateCase(caseId, name) {
+        const record = await this.getCase(caseId);
+        if (!record) {
+            throw new Error(`Case not found: ${caseId}`);
+        }
+
+        return this.createCase(
+            name || `${record.name} (copy)`,
+            structuredClone(record.investigation),
+            structuredClone(record.graph)
+        );
+    }
+
+    deleteCase(caseId) {
+        return this.database.delete(this.storeName, caseId);
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.CaseStore = CaseStore;
+}
\ No newline at end of file
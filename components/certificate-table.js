@@ -0,0 +1,73 @@
+// Certificate Table - searchable, paginated view of CT certificates for the Overview
+class CertificateTable {
+    static get PAGE_SIZE() {
+        return 20;
+    }
+
+    static get STATUS_LABELS() {
+        return { valid: 'Valid', expired: 'Expired', not_yet_valid: 'Not yet valid' };
+    }
+
+    // Certificates whose names, issuer, serial or status contain every search term
+    static filter(certificates, query) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return certificates;
+
+        return certificates.filter(cert => {
+            const haystack = [...cert.names, cert.issuerName, cert.serialNumber, cert.status].join(' ').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    // Search box plus the first page; the page body is re-rendered in place on search or paging
+    static render(certificates, { escapeHtml }) {
+        return `
+            <div class="cert-table">
+                <input type="text" class="search-input cert-search" data-cert-search placeholder="Search names, issuer, serial or status...">
+                <div data-cert-page-body>
+                    ${CertificateTable.renderPage(certificates, { query: '', page: 0, escapeHtml })}
+                </div>
+            </div>
+        `;
+    }
+
+    static renderPage(certificates, { query, page, escapeHtml }) {
+        const matches = CertificateTable.filter(certificates, query);
+        const pages = Math.max(1, Math.ceil(matches.length / CertificateTable.PAGE_SIZE));
+        const current = Math.min(Math.max(0, page), pages - 1);
+        const start = current * CertificateTable.PAGE_SIZE;
+        const rows = matches.slice(start, start + CertificateTable.PAGE_SIZE);
+        const date = (value) => value ? new Date(value).toLocaleDateString() : '';
+
+        return `
+            <table class="bulk-table">
+                <thead>
+                    <tr><th>Names</th><th>Issuer</th><th>Valid from</th><th>Valid to</th><th>Status</th><th>Serial</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(cert => `
+                        <tr>
+                            <td>${cert.names.map(escapeHtml).join('<br>')}</td>
+                            <td>${escapeHtml(cert.issuerName)}</td>
+                            <td>${date(cert.notBefore)}</td>
+                            <td>${date(cert.notAfter)}</td>
+                            <td><span class="cert-status ${cert.status}">${CertificateTable.STATUS_LABELS[cert.status] || escapeHtml(cert.status)}</span></td>
+                            <td><code>${escapeHtml(cert.serialNumber || '')}</code></td>
+                        </tr>
+                    `).join('')}
+                    ${rows.length === 0 ? '<tr><td colspan="6">No matching certificates</td></tr>' : ''}
+                </tbody>
+            </table>
+            <div class="cert-pager">
+                <button class="case-btn" data-cert-page="${current - 1}" ${current === 0 ? 'disabled' : ''}>Previous</button>
+                <span>${matches.length === 0 ? 0 : start + 1}–${start + rows.length} of ${matches.length}${matches.length !== certificates.length ? ` (filtered from ${certificates.length})` : ''}</span>
+                <button class="case-btn" data-cert-page="${current + 1}" ${current >= pages - 1 ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CertificateTable = CertificateTable;
+}
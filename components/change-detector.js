@@ -0,0 +1,125 @@
+// Change Detection - normalized monitoring state and snapshot diffs
+class ChangeDetector {
+    static get DNS_RECORD_TYPES() {
+        return ['A', 'MX', 'NS', 'TXT'];
+    }
+
+    static get CHANGE_LABELS() {
+        return {
+            certificate_added: 'New certificate',
+            subdomain_added: 'New subdomain',
+            dns_added: 'DNS record added',
+            dns_removed: 'DNS record removed'
+        };
+    }
+
+    // Collectors whose results stateFrom reads; monitors run only these
+    static get COLLECTORS() {
+        return ['certificate_transparency', 'dns_records'];
+    }
+
+    // Reduce a collection run to the state we compare between snapshots.
+    // A category is null when its collector did not return usable data, so a
+    // failed lookup is never mistaken for every record disappearing.
+    static stateFrom(sourceResults) {
+        const state = { certificates: null, subdomains: null, dns: null };
+
+        sourceResults.forEach(result => {
+            const data = result.data || {};
+
+            if (result.collectorName === 'certificate_transparency' && result.success && !data.error) {
+                const certificates = new Map((state.certificates || []).map(cert => [cert.serialNumber, cert]));
+                (data.certificates || []).forEach(cert => {
+                    if (cert.serialNumber) {
+                        certificates.set(cert.serialNumber, {
+                            serialNumber: cert.serialNumber,
+                            subject: cert.subject,
+                            issuer: cert.issuer,
+                            notBefore: cert.notBefore,
+                            notAfter: cert.notAfter
+                        });
+                    }
+                });
+                state.certificates = Array.from(certificates.values());
+                state.subdomains = Array.from(new Set([...(state.subdomains || []), ...(data.subdomains || [])])).sort();
+            }
+
+            if (result.collectorName === 'dns_records' && result.success && !data.error) {
+                const dns = state.dns || {};
+                ChangeDetector.DNS_RECORD_TYPES.forEach(type => {
+                    dns[type] = Array.from(new Set([...(dns[type] || []), ...((data.records || {})[type] || [])])).sort();
+                });
+                state.dns = dns;
+            }
+        });
+
+        return state;
+    }
+
+    // Change events between two states; the first snapshot is a baseline without events
+    diff(previous, current, context = {}) {
+        if (!previous) return [];
+
+        const changes = [];
+        const event = (type, value, extra = {}) => changes.push({
+            type: type,
+            value: value,
+            target: context.target,
+            monitorId: context.monitorId,
+            detectedAt: context.detectedAt,
+            ...extra
+        });
+
+        if (previous.certificates && current.certificates) {
+            const known = new Set(previous.certificates.map(cert => cert.serialNumber));
+            current.certificates
+                .filter(cert => !known.has(cert.serialNumber))
+                .forEach(cert => event('certificate_added', cert.serialNumber, {
+                    detail: `${cert.subject} issued by ${cert.issuer}`
+                }));
+        }
+
+        if (previous.subdomains && current.subdomains) {
+            const known = new Set(previous.subdomains);
+            current.subdomains
+                .filter(subdomain => !known.has(subdomain))
+                .forEach(subdomain => event('subdomain_added', subdomain));
+        }
+
+        if (previous.dns && current.dns) {
+            ChangeDetector.DNS_RECORD_TYPES.forEach(recordType => {
+                const before = new Set(previous.dns[recordType] || []);
+                const after = new Set(current.dns[recordType] || []);
+
+                after.forEach(value => {
+                    if (!before.has(value)) event('dns_added', value, { recordType: recordType });
+                });
+                before.forEach(value => {
+                    if (!after.has(value)) event('dns_removed', value, { recordType: recordType });
+                });
+            });
+        }
+
+        return changes;
+    }
+
+    // Counts shown in the snapshot history
+    // Rolling state after a run: each category keeps its last collected value
+    static merge(previous, current) {
+        if (!previous) return current;
+        return Object.fromEntries(Object.keys(current).map(key => [key, current[key] !== null ? current[key] : previous[key]]));
+    }
+
+    static summarize(state) {
+        return {
+            certificates: state.certificates ? state.certificates.length : null,
+            subdomains: state.subdomains ? state.subdomains.length : null,
+            dnsRecords: state.dns ? Object.values(state.dns).reduce((total, values) => total + values.length, 0) : null
+        };
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.ChangeDetector = ChangeDetector;
+}
\ No newline at end of file
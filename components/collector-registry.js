@@ -0,0 +1,100 @@
+// OSINT Collector Registry - pluggable collectors bound to sources by name
+class CollectorRegistry {
+    constructor() {
+        this.collectors = new Map();
+    }
+
+    // Register a collector definition:
+    // { name, label, accepts: [searchTypes], emits: [entityTypes], settings: {}, collect(query, searchType, context), render(sourceResult, helpers) }
+    register(definition) {
+        const problems = CollectorRegistry.validate(definition);
+        if (problems.length > 0) {
+            throw new Error(`Invalid collector "${definition?.name || 'unnamed'}": ${problems.join('; ')}`);
+        }
+
+        if (this.collectors.has(definition.name)) {
+            throw new Error(`Collector already registered: ${definition.name}`);
+        }
+
+        this.collectors.set(definition.name, {
+            label: definition.name,
+            settings: {},
+            render: null,
+            ...definition
+        });
+
+        return this.collectors.get(definition.name);
+    }
+
+    static validate(definition) {
+        const problems = [];
+
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+        if (typeof definition.name !== 'string' || !definition.name) {
+            problems.push('name is required');
+        }
+        if (!Array.isArray(definition.accepts) || definition.accepts.length === 0) {
+            problems.push('accepts must list at least one entity type');
+        }
+        if (!Array.isArray(definition.emits)) {
+            problems.push('emits must be an array of entity types');
+        }
+        if (typeof definition.collect !== 'function') {
+            problems.push('collect must be a function');
+        }
+        if (definition.render !== undefined && definition.render !== null && typeof definition.render !== 'function') {
+            problems.push('render must be a function');
+        }
+
+        return problems;
+    }
+
+    unregister(name) {
+        return this.collectors.delete(name);
+    }
+
+    get(name) {
+        return this.collectors.get(name) || null;
+    }
+
+    has(name) {
+        return this.collectors.has(name);
+    }
+
+    list() {
+        return Array.from(this.collectors.values());
+    }
+
+    // Find the collector a source entry is bound to, or explain why it cannot run
+    resolve(source, searchType) {
+        if (!source.collector) {
+            return { collector: null, error: `Source "${source.name}" has no collector binding` };
+        }
+
+        const collector = this.get(source.collector);
+        if (!collector) {
+            return { collector: null, error: `Source "${source.name}" is bound to unknown collector "${source.collector}"` };
+        }
+
+        if (searchType && !collector.accepts.includes(searchType)) {
+            return {
+                collector: null,
+                error: `Collector "${collector.name}" does not accept ${searchType} targets (accepts: ${collector.accepts.join(', ')})`
+            };
+        }
+
+        return { collector: collector, error: null };
+    }
+
+    // Collector defaults overridden by the per-source settings from sources.json
+    settingsFor(collector, source) {
+        return { ...collector.settings, ...(source.settings || {}) };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CollectorRegistry = CollectorRegistry;
+}
\ No newline at end of file
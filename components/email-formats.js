@@ -0,0 +1,171 @@
+// Email Formats - infers an organization's address format (first.last@, flast@, ...)
+// from observed addresses and employee names, and builds candidate addresses
+class EmailFormats {
+    // Templates over {first}, {last}, {f} and {l} (initials). Priors are rough shares
+    // of each format across corporate domains, used until addresses are observed.
+    static get FORMATS() {
+        return [
+            { id: 'first.last', template: '{first}.{last}', prior: 0.32 },
+            { id: 'flast', template: '{f}{last}', prior: 0.18 },
+            { id: 'first', template: '{first}', prior: 0.10 },
+            { id: 'firstlast', template: '{first}{last}', prior: 0.08 },
+            { id: 'f.last', template: '{f}.{last}', prior: 0.06 },
+            { id: 'first_last', template: '{first}_{last}', prior: 0.05 },
+            { id: 'firstl', template: '{first}{l}', prior: 0.04 },
+            { id: 'lastf', template: '{last}{f}', prior: 0.03 },
+            { id: 'last.first', template: '{last}.{first}', prior: 0.03 },
+            { id: 'last', template: '{last}', prior: 0.03 },
+            { id: 'first.l', template: '{first}.{l}', prior: 0.02 },
+            { id: 'first-last', template: '{first}-{last}', prior: 0.02 },
+            { id: 'lastfirst', template: '{last}{first}', prior: 0.02 }
+        ];
+    }
+
+    // How many observed addresses the priors count for when mixed with evidence
+    static get PRIOR_WEIGHT() {
+        return 2;
+    }
+
+    // Shared mailboxes that say nothing about how people's addresses are built
+    static get ROLE_ACCOUNTS() {
+        return [
+            'abuse', 'accounts', 'admin', 'billing', 'careers', 'contact', 'dmarc', 'domains', 'help',
+            'hello', 'hostmaster', 'hr', 'info', 'jobs', 'legal', 'mail', 'marketing', 'media', 'noc',
+            'noreply', 'no-reply', 'office', 'postmaster', 'press', 'privacy', 'reports', 'root', 'sales',
+            'security', 'support', 'team', 'webmaster'
+        ];
+    }
+
+    static format(id) {
+        return EmailFormats.FORMATS.find(format => format.id === id) || null;
+    }
+
+    // Local part for a name: { first: 'jane', last: 'doe' } -> 'jane.doe'
+    static apply(format, name) {
+        return format.template
+            .replace('{first}', name.first)
+            .replace('{last}', name.last)
+            .replace('{f}', name.first[0])
+            .replace('{l}', name.last[0]);
+    }
+
+    // Layout of a local part with names abstracted away: 'jane.doe' -> 'word.word',
+    // 'j.doe' -> 'i.word'. A short numeric suffix (jdoe2) is ignored.
+    static shapeOf(local) {
+        const value = String(local).toLowerCase().replace(/\d{1,2}$/, '');
+        const match = value.match(/^([a-z]+)(?:([._-])([a-z]+))?$/);
+        if (!match) return null;
+        const part = (letters) => letters.length === 1 ? 'i' : 'word';
+        return match[2] ? `${part(match[1])}${match[2]}${part(match[3])}` : part(match[1]);
+    }
+
+    static shapeOfFormat(format) {
+        return EmailFormats.shapeOf(EmailFormats.apply(format, { first: 'jane', last: 'doe' }));
+    }
+
+    // One person per line: "Jane Doe", "Jane Q. Doe" or "Doe, Jane"
+    static parseNames(input) {
+        const lines = Array.isArray(input) ? input : String(input || '').split(/[\n;]+/);
+        const words = (text) => text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[\s.]+/)
+            .map(word => word.replace(/[^a-z]/g, ''))
+            .filter(Boolean);
+
+        return lines.map(line => String(line).trim()).filter(Boolean).map(line => {
+            const [surname, given] = line.includes(',') ? line.split(',', 2) : [null, line];
+            const tokens = surname === null ? words(given) : [...words(given), ...words(surname)];
+            return tokens.length >= 2 ? { name: line, first: tokens[0], last: tokens[tokens.length - 1] } : null;
+        }).filter(Boolean);
+    }
+
+    // Addresses at the domain in any text, lowercased and de-duplicated
+    static extractAddresses(text, domain) {
+        const escaped = String(domain).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`[a-z0-9._%+-]+@${escaped}(?![a-z0-9-]|\\.[a-z0-9])`, 'gi');
+        return Array.from(new Set((String(text).match(pattern) || []).map(address => address.toLowerCase())));
+    }
+
+    // Which formats a single local part fits. With names, an exact match on a known
+    // person counts fully; otherwise the layout alone counts for half, spread over
+    // every format with that layout in proportion to the priors.
+    static classify(local, names = []) {
+        const value = String(local).toLowerCase().replace(/\+.*$/, '');
+        if (EmailFormats.ROLE_ACCOUNTS.includes(value)) {
+            return { local: value, basis: 'role', formats: [], weight: 0 };
+        }
+
+        for (const name of names) {
+            const formats = EmailFormats.FORMATS.filter(format => EmailFormats.apply(format, name) === value);
+            if (formats.length > 0) {
+                return { local: value, basis: 'name', person: name.name, formats: formats.map(format => format.id), weight: 1 };
+            }
+        }
+
+        const shape = EmailFormats.shapeOf(value);
+        const formats = shape ? EmailFormats.FORMATS.filter(format => EmailFormats.shapeOfFormat(format) === shape) : [];
+        return formats.length > 0
+            ? { local: value, basis: 'shape', shape: shape, formats: formats.map(format => format.id), weight: 0.5 }
+            : { local: value, basis: 'unmatched', formats: [], weight: 0 };
+    }
+
+    // addresses: ['jane.doe@example.com', ...]; options: { domain, names: [{ name, first, last }] }
+    // Returns formats ranked by share, the best one and how each address was read
+    static infer(addresses, options = {}) {
+        const domain = String(options.domain || '').toLowerCase();
+        const names = options.names || [];
+        const locals = Array.from(new Set(addresses
+            .map(address => String(address).trim().toLowerCase())
+            .filter(address => !domain || address.endsWith(`@${domain}`))
+            .map(address => address.slice(0, address.lastIndexOf('@')))
+            .filter(Boolean)));
+
+        const evidence = Object.fromEntries(EmailFormats.FORMATS.map(format => [format.id, 0]));
+        const matches = Object.fromEntries(EmailFormats.FORMATS.map(format => [format.id, []]));
+        const observed = locals.map(local => {
+            const reading = EmailFormats.classify(local, names);
+            const priors = reading.formats.reduce((total, id) => total + EmailFormats.format(id).prior, 0);
+            reading.formats.forEach(id => {
+                evidence[id] += reading.weight * EmailFormats.format(id).prior / priors;
+                matches[id].push(domain ? `${local}@${domain}` : local);
+            });
+            return { address: domain ? `${local}@${domain}` : local, ...reading };
+        });
+
+        const total = Object.values(evidence).reduce((sum, value) => sum + value, 0);
+        const priorTotal = EmailFormats.FORMATS.reduce((sum, format) => sum + format.prior, 0);
+        const weight = EmailFormats.PRIOR_WEIGHT;
+        const formats = EmailFormats.FORMATS.map(format => ({
+            id: format.id,
+            example: EmailFormats.apply(format, { first: 'jane', last: 'doe' }),
+            share: (weight * format.prior / priorTotal + evidence[format.id]) / (weight + total),
+            evidence: Math.round(evidence[format.id] * 100) / 100,
+            matches: matches[format.id]
+        })).sort((a, b) => b.share - a.share);
+
+        return {
+            formats: formats,
+            best: formats[0],
+            evidence: Math.round(total * 100) / 100,
+            confidence: total === 0 ? 'prior' : total < 2 ? 'low' : total < 5 ? 'medium' : 'high',
+            observed: observed
+        };
+    }
+
+    // Candidate addresses for each name under the top formats, most likely first
+    static candidates(names, inference, options = {}) {
+        const { domain, formats = 3 } = options;
+        const known = new Set(inference.observed.map(entry => entry.address));
+        return names.flatMap(name => inference.formats.slice(0, formats).map(format => {
+            const address = `${EmailFormats.apply(EmailFormats.format(format.id), name)}@${domain}`;
+            return { name: name.name, address: address, format: format.id, share: format.share, observed: known.has(address) };
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EmailFormats = EmailFormats;
+}
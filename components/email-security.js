@@ -0,0 +1,233 @@
+// Email Security - SPF, DMARC, DKIM, MTA-STS, TLS-RPT and BIMI record parsing and grading
+class EmailSecurity {
+    // Selectors probed for DKIM keys; real selectors cannot be enumerated from DNS
+    static get DKIM_SELECTORS() {
+        return [
+            'default', 'dkim', 'mail', 'selector1', 'selector2', 'google', 'k1', 'k2', 'k3',
+            's1', 's2', 'smtp', 'mx', 'email', 'fm1', 'fm2', 'fm3', 'protonmail', 'protonmail2',
+            'mandrill', 'mailjet', 'pm', 'zoho', 'everlytickey1', 'everlytickey2', 'dkim1', 'sig1'
+        ];
+    }
+
+    // RFC 7208 section 4.6.4: terms that cost a DNS lookup, and the limits on them
+    static get SPF_LOOKUP_TERMS() {
+        return ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+    }
+
+    static get SPF_LOOKUP_LIMIT() {
+        return 10;
+    }
+
+    static get SPF_VOID_LOOKUP_LIMIT() {
+        return 2;
+    }
+
+    // Penalty points per finding severity, and the grade each score band earns
+    static get SEVERITY_PENALTIES() {
+        return { critical: 40, high: 25, medium: 10, low: 5, info: 0 };
+    }
+
+    static get GRADES() {
+        return [
+            { grade: 'A', min: 90 },
+            { grade: 'B', min: 75 },
+            { grade: 'C', min: 60 },
+            { grade: 'D', min: 40 },
+            { grade: 'F', min: -Infinity }
+        ];
+    }
+
+    static get SPF_QUALIFIERS() {
+        return { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+    }
+
+    // "tag=value; tag=value" records (DMARC, DKIM, MTA-STS, TLS-RPT, BIMI)
+    static parseTags(record) {
+        const tags = {};
+        String(record).split(';').forEach(part => {
+            const index = part.indexOf('=');
+            if (index === -1) return;
+            const name = part.slice(0, index).trim().toLowerCase();
+            if (name && !(name in tags)) {
+                tags[name] = part.slice(index + 1).trim();
+            }
+        });
+        return tags;
+    }
+
+    // TXT records whose version tag matches, e.g. "v=spf1" or "v=DMARC1"
+    static recordsWithVersion(records, version) {
+        const pattern = new RegExp(`^v=${version}(\\s|;|$)`, 'i');
+        return records.filter(record => pattern.test(record.trim()));
+    }
+
+    static parseSPF(record) {
+        const terms = record.trim().split(/\s+/).slice(1);
+        const spf = { record: record, mechanisms: [], redirect: null, exp: null, all: null, errors: [] };
+
+        terms.forEach(term => {
+            const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+            if (modifier) {
+                const name = modifier[1].toLowerCase();
+                if (name === 'redirect') spf.redirect = modifier[2];
+                else if (name === 'exp') spf.exp = modifier[2];
+                return;
+            }
+
+            const match = term.match(/^([+\-~?]?)([a-z0-9]+)(?:[:/](.*))?$/i);
+            const type = match ? match[2].toLowerCase() : null;
+            if (!match || !['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'].includes(type)) {
+                spf.errors.push(`Unknown SPF term "${term}"`);
+                return;
+            }
+
+            const mechanism = {
+                qualifier: EmailSecurity.SPF_QUALIFIERS[match[1] || '+'],
+                type: type,
+                value: match[3] || null
+            };
+            spf.mechanisms.push(mechanism);
+            if (type === 'all' && !spf.all) spf.all = mechanism.qualifier;
+        });
+
+        return spf;
+    }
+
+    static parseDMARC(record) {
+        const tags = EmailSecurity.parseTags(record);
+        const policy = (tags.p || '').toLowerCase();
+        const pct = tags.pct === undefined ? 100 : Number(tags.pct);
+        const uris = (value) => (value || '').split(',').map(uri => uri.trim()).filter(Boolean);
+
+        return {
+            record: record,
+            policy: ['none', 'quarantine', 'reject'].includes(policy) ? policy : null,
+            subdomainPolicy: (tags.sp || '').toLowerCase() || null,
+            pct: Number.isFinite(pct) ? pct : 100,
+            rua: uris(tags.rua),
+            ruf: uris(tags.ruf),
+            adkim: (tags.adkim || 'r').toLowerCase() === 's' ? 'strict' : 'relaxed',
+            aspf: (tags.aspf || 'r').toLowerCase() === 's' ? 'strict' : 'relaxed'
+        };
+    }
+
+    // Approximate RSA modulus size from the base64 SubjectPublicKeyInfo in p=
+    static dkimKeyBits(publicKey) {
+        const bytes = Math.floor(publicKey.replace(/\s/g, '').length * 3 / 4);
+        return bytes > 38 ? Math.round((bytes - 38) * 8 / 512) * 512 : 0;
+    }
+
+    static parseDKIM(selector, record) {
+        const tags = EmailSecurity.parseTags(record);
+        const keyType = (tags.k || 'rsa').toLowerCase();
+        const publicKey = tags.p || '';
+
+        return {
+            selector: selector,
+            keyType: keyType,
+            revoked: publicKey === '',
+            keyBits: keyType === 'rsa' && publicKey ? EmailSecurity.dkimKeyBits(publicKey) : null,
+            testing: (tags.t || '').split(':').includes('y')
+        };
+    }
+
+    // MTA-STS policy file (RFC 8461 section 3.2): "key: value" lines
+    static parseMtaStsPolicy(text) {
+        const policy = { version: null, mode: null, mx: [], maxAge: null };
+        String(text).split(/\r?\n/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index === -1) return;
+            const key = line.slice(0, index).trim().toLowerCase();
+            const value = line.slice(index + 1).trim();
+            if (key === 'version') policy.version = value;
+            if (key === 'mode') policy.mode = value.toLowerCase();
+            if (key === 'mx') policy.mx.push(value);
+            if (key === 'max_age') policy.maxAge = Number(value);
+        });
+        return policy;
+    }
+
+    // Findings, score, grade and spoofability from the collected posture
+    static assess(posture) {
+        const findings = [];
+        const add = (severity, area, message) => findings.push({ severity: severity, area: area, message: message });
+        const { spf, dmarc, dkim, mtaSts, tlsRpt, bimi } = posture;
+
+        if (!spf.record) {
+            add('high', 'SPF', 'No SPF record: any server can send as this domain without an SPF fail');
+        } else {
+            if (spf.multipleRecords) add('high', 'SPF', 'Multiple SPF records publish a permerror, so SPF is ignored');
+            if (spf.lookups > EmailSecurity.SPF_LOOKUP_LIMIT) {
+                add('high', 'SPF', `SPF needs ${spf.lookups} DNS lookups (limit ${EmailSecurity.SPF_LOOKUP_LIMIT}): receivers return permerror`);
+            }
+            if (spf.voidLookups > EmailSecurity.SPF_VOID_LOOKUP_LIMIT) {
+                add('medium', 'SPF', `${spf.voidLookups} SPF lookups return no records (limit ${EmailSecurity.SPF_VOID_LOOKUP_LIMIT})`);
+            }
+            spf.errors.forEach(error => add(error.includes('permerror') ? 'high' : 'medium', 'SPF', error));
+
+            if (spf.all === 'pass') add('critical', 'SPF', 'SPF ends in "+all": every server on the internet is authorized');
+            else if (spf.all === 'neutral') add('high', 'SPF', 'SPF ends in "?all": unauthorized servers get a neutral result');
+            else if (spf.all === null) add('high', 'SPF', 'SPF has no "all" mechanism or redirect: unlisted servers get a neutral result');
+            else if (spf.all === 'softfail') add('low', 'SPF', 'SPF ends in "~all" (softfail); "-all" is stricter once DMARC is enforced');
+
+            if (spf.usesPtr) add('low', 'SPF', 'SPF uses the deprecated "ptr" mechanism');
+        }
+
+        if (!dmarc.record) {
+            add('high', 'DMARC', 'No DMARC record: spoofed From addresses are not rejected or reported');
+        } else {
+            if (dmarc.multipleRecords) add('high', 'DMARC', 'Multiple DMARC records: receivers ignore the policy');
+            if (!dmarc.policy) add('high', 'DMARC', 'DMARC record has no valid p= policy');
+            else if (dmarc.policy === 'none') add('high', 'DMARC', 'DMARC policy is "none": spoofed mail is only monitored, not blocked');
+            else if (dmarc.policy === 'quarantine') add('low', 'DMARC', 'DMARC policy is "quarantine": spoofed mail lands in spam rather than being rejected');
+
+            if (dmarc.policy && dmarc.policy !== 'none' && dmarc.pct < 100) {
+                add('medium', 'DMARC', `DMARC policy applies to only ${dmarc.pct}% of failing mail`);
+            }
+            if (dmarc.subdomainPolicy === 'none' && dmarc.policy && dmarc.policy !== 'none') {
+                add('medium', 'DMARC', 'Subdomain policy sp=none leaves subdomains spoofable');
+            }
+            if (dmarc.rua.length === 0) add('info', 'DMARC', 'No aggregate report address (rua): spoofing attempts go unnoticed');
+            if (dmarc.inherited) add('info', 'DMARC', `Policy inherited from ${dmarc.domain}`);
+        }
+
+        const keys = dkim.selectors.filter(selector => !selector.revoked);
+        if (keys.length === 0) {
+            add('low', 'DKIM', `No DKIM key found under ${dkim.probed} common selectors (custom selectors cannot be enumerated)`);
+        }
+        keys.filter(key => key.keyBits && key.keyBits < 1024)
+            .forEach(key => add('high', 'DKIM', `Selector "${key.selector}" uses a ${key.keyBits}-bit RSA key`));
+        keys.filter(key => key.keyBits === 1024)
+            .forEach(key => add('low', 'DKIM', `Selector "${key.selector}" uses a 1024-bit RSA key; 2048-bit is recommended`));
+        keys.filter(key => key.testing)
+            .forEach(key => add('info', 'DKIM', `Selector "${key.selector}" is in testing mode (t=y)`));
+
+        if (!mtaSts.record) add('low', 'MTA-STS', 'No MTA-STS: inbound TLS can be downgraded');
+        else if (mtaSts.policy && mtaSts.policy.mode !== 'enforce') add('info', 'MTA-STS', `MTA-STS policy mode is "${mtaSts.policy.mode}"`);
+        else if (!mtaSts.policy) add('info', 'MTA-STS', `MTA-STS policy file could not be fetched${mtaSts.error ? `: ${mtaSts.error}` : ''}`);
+
+        if (!tlsRpt.record) add('info', 'TLS-RPT', 'No TLS-RPT record: TLS delivery failures are not reported');
+        if (!bimi.record) add('info', 'BIMI', 'No BIMI record');
+
+        const penalty = findings.reduce((total, finding) => total + EmailSecurity.SEVERITY_PENALTIES[finding.severity], 0);
+        const score = Math.max(0, 100 - penalty);
+
+        // Display-From spoofing is only stopped by an enforced DMARC policy
+        const enforced = dmarc.record && !dmarc.multipleRecords && dmarc.policy;
+        let spoofability = 'high';
+        if (enforced === 'reject' && dmarc.pct === 100) spoofability = 'low';
+        else if (enforced === 'reject' || enforced === 'quarantine') spoofability = 'medium';
+
+        return {
+            score: score,
+            grade: EmailSecurity.GRADES.find(band => score >= band.min).grade,
+            spoofability: spoofability,
+            findings: findings.sort((a, b) => EmailSecurity.SEVERITY_PENALTIES[b.severity] - EmailSecurity.SEVERITY_PENALTIES[a.severity])
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EmailSecurity = EmailSecurity;
+}
@@ -0,0 +1,236 @@
+// Investigation Entity Graph - merges intelligence results into linked entities
+class EntityGraph {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = new Map();
+    }
+
+    // Search types an entity type can be pivoted into (null = not searchable)
+    static get PIVOT_TYPES() {
+        return {
+            domain: 'domain',
+            subdomain: 'domain',
+            ip: 'ip',
+            cidr: 'cidr',
+            url: 'url',
+            phone: 'phone',
+            asn: 'asn',
+            hash: 'hash',
+            wallet: 'wallet',
+            email: 'email',
+            username: 'username',
+            social_profile: 'username',
+            person: null,
+            organization: null
+        };
+    }
+
+    // How much of a CT result goes into the graph; shared-hosting and CDN certificates
+    // can name hundreds of unrelated domains, so the full lists stay in the Overview
+    static get CERTIFICATE_LIMITS() {
+        return { subdomains: 25, relatedDomains: 10, minSharedCertificates: 2 };
+    }
+
+    addEntity(id, type, details = {}) {
+        const existing = this.nodes.get(id);
+        if (existing) {
+            if (details.source && !existing.sources.includes(details.source)) {
+                existing.sources.push(details.source);
+            }
+            if (details.searched) {
+                existing.searched = true;
+            }
+            return existing;
+        }
+
+        const node = {
+            id: id,
+            label: details.label || id,
+            type: type,
+            pivotValue: details.pivotValue || id,
+            pivotType: EntityGraph.PIVOT_TYPES[type] ?? null,
+            searched: details.searched || false,
+            sources: details.source ? [details.source] : [],
+            firstSeen: details.timestamp || new Date().toISOString()
+        };
+
+        this.nodes.set(id, node);
+        return node;
+    }
+
+    addRelationship(from, to, type, source, timestamp) {
+        const key = `${from}|${type}|${to}`;
+        const existing = this.edges.get(key);
+        if (existing) {
+            if (source && !existing.sources.includes(source)) {
+                existing.sources.push(source);
+            }
+            return existing;
+        }
+
+        const edge = {
+            from: from,
+            to: to,
+            type: type,
+            source: source,
+            sources: source ? [source] : [],
+            firstSeen: timestamp || new Date().toISOString()
+        };
+
+        this.edges.set(key, edge);
+        return edge;
+    }
+
+    // Register the searched target itself as an entity
+    addSearchTarget(query, searchType, timestamp) {
+        return this.addEntity(query, searchType, { searched: true, timestamp: timestamp });
+    }
+
+    // Extract entities and relationships from a single source result
+    addSourceResult(sourceResult) {
+        if (!sourceResult.data || !sourceResult.data.found) {
+            return;
+        }
+
+        const data = sourceResult.data;
+        const origin = sourceResult.query;
+        const source = sourceResult.sourceName;
+        const timestamp = sourceResult.timestamp;
+
+        this.addSearchTarget(origin, sourceResult.searchType, timestamp);
+
+        // Add IP relationships
+        if (data.ipAddresses) {
+            data.ipAddresses.forEach(ip => {
+                this.addEntity(ip, 'ip', { source: source, timestamp: timestamp });
+                this.addRelationship(origin, ip, 'resolves_to', source, timestamp);
+            });
+        }
+
+        // Add subdomain relationships
+        if (data.subdomains) {
+            data.subdomains.slice(0, EntityGraph.CERTIFICATE_LIMITS.subdomains).forEach(subdomain => {
+                this.addEntity(subdomain, 'subdomain', { source: source, timestamp: timestamp });
+                this.addRelationship(origin, subdomain, 'subdomain', source, timestamp);
+            });
+        }
+
+        // Add the domains sharing the most certificates (relatedDomains is sorted by count)
+        if (data.relatedDomains) {
+            const limits = EntityGraph.CERTIFICATE_LIMITS;
+            data.relatedDomains
+                .filter(related => related.certificates >= limits.minSharedCertificates)
+                .slice(0, limits.relatedDomains)
+                .forEach(related => {
+                    this.addEntity(related.name, 'domain', { source: source, timestamp: timestamp });
+                    this.addRelationship(origin, related.name, 'shares_certificate', source, timestamp);
+                });
+        }
+
+        // Add forward-confirmed PTR hostnames of an address
+        if (data.confirmedHostnames) {
+            data.confirmedHostnames.forEach(hostname => {
+                this.addEntity(hostname, 'domain', { source: source, timestamp: timestamp });
+                this.addRelationship(origin, hostname, 'reverse_dns', source, timestamp);
+            });
+        }
+
+        // Add addresses swept from a CIDR range
+        if (data.hosts) {
+            data.hosts.filter(host => host.found).forEach(host => {
+                this.addEntity(host.ip, 'ip', { source: source, timestamp: timestamp });
+                this.addRelationship(origin, host.ip, 'contains', source, timestamp);
+                if (host.organization) {
+                    this.addEntity(host.organization, 'organization', { source: source, timestamp: timestamp });
+                    this.addRelationship(host.ip, host.organization, 'organization', source, timestamp);
+                }
+            });
+        }
+
+        // Add live subdomains with their addresses, clustered under network blocks and organizations
+        if (data.inventory && data.addresses) {
+            data.inventory.filter(host => host.status === 'live').forEach(host => {
+                this.addEntity(host.hostname, 'subdomain', { source: source, timestamp: timestamp });
+                this.addRelationship(origin, host.hostname, 'subdomain', source, timestamp);
+                host.addresses.forEach(ip => {
+                    this.addEntity(ip, 'ip', { source: source, timestamp: timestamp });
+                    this.addRelationship(host.hostname, ip, 'resolves_to', source, timestamp);
+                });
+            });
+            data.addresses.forEach(address => {
+                this.addEntity(address.block, 'cidr', { source: source, timestamp: timestamp });
+                this.addRelationship(address.block, address.ip, 'contains', source, timestamp);
+                if (address.organization) {
+                    this.addEntity(address.organization, 'organization', { source: source, timestamp: timestamp });
+                    this.addRelationship(address.block, address.organization, 'organization', source, timestamp);
+                }
+            });
+        }
+
+        // Add the host a URL points to, so it can be pivoted to the domain or IP collectors
+        if (data.url && data.host) {
+            const hostType = data.hostType === 'domain' ? 'domain' : 'ip';
+            this.addEntity(data.host, hostType, { source: source, timestamp: timestamp });
+            this.addRelationship(origin, data.host, 'hosted_on', source, timestamp);
+        }
+
+        // Add social profiles the platform confirmed exist
+        if (data.profiles) {
+            data.profiles.filter(profile => profile.status === 'exists').forEach(profile => {
+                const username = profile.username || origin;
+                const profileId = `${profile.platform}:${username}`;
+                this.addEntity(profileId, 'social_profile', {
+                    source: source,
+                    timestamp: timestamp,
+                    pivotValue: username
+                });
+                this.addRelationship(origin, profileId, 'social_profile', source, timestamp);
+            });
+        }
+
+        // Add organization relationships
+        if (data.organization || data.isp) {
+            const org = data.organization || data.isp;
+            this.addEntity(org, 'organization', { source: source, timestamp: timestamp });
+            this.addRelationship(origin, org, 'organization', source, timestamp);
+        }
+    }
+
+    getNode(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    getNodes() {
+        return Array.from(this.nodes.values());
+    }
+
+    getEdges() {
+        return Array.from(this.edges.values());
+    }
+
+    clear() {
+        this.nodes.clear();
+        this.edges.clear();
+    }
+
+    toJSON() {
+        return {
+            nodes: this.getNodes(),
+            edges: this.getEdges()
+        };
+    }
+
+    static fromJSON(json) {
+        const graph = new EntityGraph();
+        (json?.nodes || []).forEach(node => graph.nodes.set(node.id, { ...node }));
+        (json?.edges || []).forEach(edge => {
+            graph.edges.set(`${edge.from}|${edge.type}|${edge.to}`, { ...edge });
+        });
+        return graph;
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.EntityGraph = EntityGraph;
+}
\ No newline at end of file
@@ -0,0 +1,236 @@
+// Investigation Export - JSON, CSV and self-contained reports
+class ExportManager {
+    static get TOOL_NAME() {
+        return 'OSINT Data Aggregator';
+    }
+
+    // File name safe slug for the investigation target
+    static fileBase(investigation) {
+        const target = (investigation.query || 'investigation').toLowerCase().replace(/[^a-z0-9.-]+/g, '_');
+        const date = new Date().toISOString().split('T')[0];
+        return `osint-${target}-${date}`;
+    }
+
+    static csvEscape(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = Array.isArray(value) ? value.join('; ') : String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static csvRow(values) {
+        return values.map(value => ExportManager.csvEscape(value)).join(',');
+    }
+
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    toJSON(investigation, graph) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            tool: ExportManager.TOOL_NAME,
+            query: investigation.query,
+            searchType: investigation.searchType,
+            startedAt: investigation.timestamp,
+            searches: investigation.searches || [],
+            summary: investigation.summary,
+            sources: investigation.sources || [],
+            graph: graph.toJSON()
+        }, null, 2);
+    }
+
+    // One row per entity and one row per relationship
+    toCSV(graph) {
+        const rows = [ExportManager.csvRow([
+            'record_type', 'entity', 'entity_type', 'from', 'to', 'relationship_type', 'sources', 'first_seen', 'searched'
+        ])];
+
+        graph.getNodes().forEach(node => {
+            rows.push(ExportManager.csvRow([
+                'entity', node.id, node.type, '', '', '', node.sources, node.firstSeen, node.searched ? 'yes' : 'no'
+            ]));
+        });
+
+        graph.getEdges().forEach(edge => {
+            rows.push(ExportManager.csvRow([
+                'relationship', '', '', edge.from, edge.to, edge.type, edge.sources, edge.firstSeen, ''
+            ]));
+        });
+
+        return rows.join('\r\n');
+    }
+
+    // Flatten collector output into label/value findings for reports
+    summarizeFindings(data) {
+        const skip = new Set(['found', 'query', 'collectionMethod', 'error']);
+        const findings = [];
+
+        Object.entries(data || {}).forEach(([key, value]) => {
+            if (skip.has(key) || value === null || value === undefined || value === '') return;
+
+            const label = key.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').replace(/^./, c => c.toUpperCase());
+
+            if (Array.isArray(value)) {
+                if (value.length === 0) return;
+                const items = value.map(item => typeof item === 'object'
+                    ? (item.platform || item.name || item.subject || item.issuer || JSON.stringify(item))
+                    : item);
+                findings.push({
+                    label: `${label} (${value.length})`,
+                    value: items.slice(0, 25).join(', ') + (items.length > 25 ? ', …' : '')
+                });
+            } else if (typeof value === 'object') {
+                if (value.found === false) return;
+                const size = Object.keys(value).length;
+                if (size > 0) {
+                    findings.push({ label: label, value: `${size} fields collected` });
+                }
+            } else {
+                findings.push({ label: label, value: String(value) });
+            }
+        });
+
+        return findings;
+    }
+
+    generateHTMLReport(investigation, graph, timelineEvents, graphImage = null) {
+        const esc = ExportManager.escapeHtml;
+        const nodes = graph.getNodes();
+        const edges = graph.getEdges();
+        const generated = new Date();
+
+        const entityCounts = nodes.reduce((counts, node) => {
+            counts[node.type] = (counts[node.type] || 0) + 1;
+            return counts;
+        }, {});
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>OSINT Report: ${esc(investigation.query)}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #111; max-width: 960px; margin: 0 auto; padding: 30px; line-height: 1.5; }
+    h1 { border-bottom: 3px solid #00aa5b; padding-bottom: 8px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin: 10px 0; font-size: 0.9rem; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; word-break: break-word; }
+    th { background: #f2f2f2; }
+    .meta { color: #555; }
+    .source { page-break-inside: avoid; margin-bottom: 18px; }
+    .found { color: #00874a; font-weight: bold; }
+    .not-found { color: #777; }
+    .graph img { max-width: 100%; border: 1px solid #ccc; background: #0a0a0a; }
+    footer { margin-top: 40px; color: #777; font-size: 0.85rem; }
+    @media print { body { padding: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>OSINT Investigation Report</h1>
+<p class="meta">Target: <strong>${esc(investigation.query)}</strong> (${esc(investigation.searchType)})<br>
+Started: ${esc(new Date(investigation.timestamp).toLocaleString())}<br>
+Generated: ${esc(generated.toLocaleString())}</p>
+
+<h2>Summary</h2>
+<table>
+    <tr><th>Searches</th><td>${(investigation.searches || []).map(search => `${esc(search.query)} (${esc(search.searchType)})`).join(' → ')}</td></tr>
+    <tr><th>Sources</th><td>${investigation.summary.successfulSources} succeeded, ${investigation.summary.failedSources} failed of ${investigation.summary.totalSources}</td></tr>
+    <tr><th>Intelligence</th><td>${investigation.summary.dataFound ? 'Data found' : 'No data found'}</td></tr>
+    <tr><th>Entities</th><td>${nodes.length} (${Object.entries(entityCounts).map(([type, count]) => `${esc(type.replace('_', ' '))}: ${count}`).join(', ')})</td></tr>
+    <tr><th>Relationships</th><td>${edges.length}</td></tr>
+</table>
+
+<h2>Findings by Source</h2>
+${(investigation.sources || []).map(sourceResult => `
+<div class="source">
+    <h3>${esc(sourceResult.sourceName)} <small>(${esc(sourceResult.query)}, confidence ${esc(sourceResult.confidence)}%)</small></h3>
+    <p class="${sourceResult.data.found ? 'found' : 'not-found'}">${sourceResult.data.found ? 'Intelligence found' : esc(sourceResult.data.error || 'No data')}</p>
+    ${sourceResult.data.found ? `
+    <table>
+        ${this.summarizeFindings(sourceResult.data).map(finding => `<tr><th>${esc(finding.label)}</th><td>${esc(finding.value)}</td></tr>`).join('')}
+    </table>` : ''}
+    <p class="meta">Collected ${esc(new Date(sourceResult.timestamp).toLocaleString())}${sourceResult.data.collectionMethod ? ` via ${esc(sourceResult.data.collectionMethod)}` : ''}</p>
+</div>`).join('')}
+
+<h2>Timeline</h2>
+${timelineEvents.length > 0 ? `
+<table>
+    <tr><th>Date</th><th>Event</th><th>Source</th></tr>
+    ${timelineEvents.map(event => `<tr><td>${esc(new Date(event.date).toLocaleDateString())}</td><td>${esc(event.event)}</td><td>${esc(event.source)}</td></tr>`).join('')}
+</table>` : '<p>No timeline events.</p>'}
+
+<h2>Relationship Graph</h2>
+${graphImage ? `<div class="graph"><img src="${graphImage}" alt="Relationship graph snapshot"></div>` : ''}
+<table>
+    <tr><th>From</th><th>Relationship</th><th>To</th><th>Sources</th></tr>
+    ${edges.map(edge => `<tr><td>${esc(edge.from)}</td><td>${esc(edge.type.replace('_', ' '))}</td><td>${esc(edge.to)}</td><td>${esc(edge.sources.join(', '))}</td></tr>`).join('')}
+</table>
+
+<footer>Generated by ${ExportManager.TOOL_NAME}. For educational and legitimate security research purposes only.</footer>
+</body>
+</html>`;
+    }
+
+    generateMarkdownReport(investigation, graph, timelineEvents) {
+        const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const edges = graph.getEdges();
+        const lines = [
+            `# OSINT Investigation Report: ${investigation.query}`,
+            '',
+            `- **Target:** ${investigation.query} (${investigation.searchType})`,
+            `- **Started:** ${new Date(investigation.timestamp).toLocaleString()}`,
+            `- **Generated:** ${new Date().toLocaleString()}`,
+            '',
+            '## Summary',
+            '',
+            `- **Searches:** ${(investigation.searches || []).map(search => `${search.query} (${search.searchType})`).join(' → ')}`,
+            `- **Sources:** ${investigation.summary.successfulSources} succeeded, ${investigation.summary.failedSources} failed of ${investigation.summary.totalSources}`,
+            `- **Entities:** ${graph.getNodes().length}`,
+            `- **Relationships:** ${edges.length}`,
+            '',
+            '## Findings by Source',
+            ''
+        ];
+
+        (investigation.sources || []).forEach(sourceResult => {
+            lines.push(`### ${sourceResult.sourceName} (${sourceResult.query})`, '');
+            if (sourceResult.data.found) {
+                this.summarizeFindings(sourceResult.data).forEach(finding => {
+                    lines.push(`- **${finding.label}:** ${finding.value}`);
+                });
+            } else {
+                lines.push(`_${sourceResult.data.error || 'No data'}_`);
+            }
+            lines.push('', `Collected ${new Date(sourceResult.timestamp).toLocaleString()}, confidence ${sourceResult.confidence}%`, '');
+        });
+
+        lines.push('## Timeline', '');
+        if (timelineEvents.length > 0) {
+            lines.push('| Date | Event | Source |', '| --- | --- | --- |');
+            timelineEvents.forEach(event => {
+                lines.push(`| ${cell(new Date(event.date).toLocaleDateString())} | ${cell(event.event)} | ${cell(event.source)} |`);
+            });
+        } else {
+            lines.push('No timeline events.');
+        }
+
+        lines.push('', '## Relationships', '', '| From | Relationship | To | Sources |', '| --- | --- | --- | --- |');
+        edges.forEach(edge => {
+            lines.push(`| ${cell(edge.from)} | ${cell(edge.type.replace('_', ' '))} | ${cell(edge.to)} | ${cell(edge.sources.join(', '))} |`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.ExportManager = ExportManager;
+}
\ No newline at end of file
@@ -0,0 +1,326 @@
+// Graph Exports - GraphML, GEXF, Maltego (CSV/MTGX) and Neo4j Cypher
+class GraphExporter {
+    // Entity types and their Maltego entity type and main property
+    static get MALTEGO_ENTITIES() {
+        return {
+            domain: { type: 'maltego.Domain', property: 'fqdn' },
+            subdomain: { type: 'maltego.DNSName', property: 'fqdn' },
+            ip: { type: 'maltego.IPv4Address', property: 'ipv4-address' },
+            ipv6: { type: 'maltego.IPv6Address', property: 'ipv6-address' },
+            cidr: { type: 'maltego.Netblock', property: 'ipv4-range' },
+            url: { type: 'maltego.URL', property: 'url' },
+            phone: { type: 'maltego.PhoneNumber', property: 'phonenumber' },
+            asn: { type: 'maltego.AS', property: 'as.number' },
+            hash: { type: 'maltego.Hash', property: 'properties.hash' },
+            wallet: { type: 'maltego.CryptocurrencyAddress', property: 'cryptocurrency.address' },
+            email: { type: 'maltego.EmailAddress', property: 'email' },
+            username: { type: 'maltego.Alias', property: 'alias' },
+            social_profile: { type: 'maltego.Alias', property: 'alias' },
+            person: { type: 'maltego.Person', property: 'person.fullname' },
+            organization: { type: 'maltego.Organization', property: 'title' }
+        };
+    }
+
+    static escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    static escapeCypher(value) {
+        return String(value ?? '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    // Stable short ids (n0, n1, ...) for formats that need them
+    indexNodes(graph) {
+        const ids = new Map();
+        graph.getNodes().forEach((node, index) => ids.set(node.id, `n${index}`));
+        return ids;
+    }
+
+    toGraphML(graph) {
+        const xml = GraphExporter.escapeXml;
+        const ids = this.indexNodes(graph);
+
+        const nodes = graph.getNodes().map(node => `    <node id="${ids.get(node.id)}">
+      <data key="label">${xml(node.label)}</data>
+      <data key="entity_type">${xml(node.type)}</data>
+      <data key="sources">${xml(node.sources.join('; '))}</data>
+      <data key="first_seen">${xml(node.firstSeen)}</data>
+      <data key="searched">${node.searched ? 'true' : 'false'}</data>
+    </node>`);
+
+        const edges = graph.getEdges().map((edge, index) => `    <edge id="e${index}" source="${ids.get(edge.from)}" target="${ids.get(edge.to)}">
+      <data key="relationship_type">${xml(edge.type)}</data>
+      <data key="edge_sources">${xml(edge.sources.join('; '))}</data>
+      <data key="edge_first_seen">${xml(edge.firstSeen)}</data>
+    </edge>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+  <key id="label" for="node" attr.name="label" attr.type="string"/>
+  <key id="entity_type" for="node" attr.name="entity_type" attr.type="string"/>
+  <key id="sources" for="node" attr.name="sources" attr.type="string"/>
+  <key id="first_seen" for="node" attr.name="first_seen" attr.type="string"/>
+  <key id="searched" for="node" attr.name="searched" attr.type="boolean"/>
+  <key id="relationship_type" for="edge" attr.name="relationship_type" attr.type="string"/>
+  <key id="edge_sources" for="edge" attr.name="sources" attr.type="string"/>
+  <key id="edge_first_seen" for="edge" attr.name="first_seen" attr.type="string"/>
+  <graph id="investigation" edgedefault="directed">
+${[...nodes, ...edges].join('\n')}
+  </graph>
+</graphml>
+`;
+    }
+
+    toGEXF(graph, title = 'OSINT investigation') {
+        const xml = GraphExporter.escapeXml;
+        const ids = this.indexNodes(graph);
+
+        const nodes = graph.getNodes().map(node => `      <node id="${ids.get(node.id)}" label="${xml(node.label)}">
+        <attvalues>
+          <attvalue for="entity_type" value="${xml(node.type)}"/>
+          <attvalue for="sources" value="${xml(node.sources.join('; '))}"/>
+          <attvalue for="first_seen" value="${xml(node.firstSeen)}"/>
+          <attvalue for="searched" value="${node.searched ? 'true' : 'false'}"/>
+        </attvalues>
+      </node>`);
+
+        const edges = graph.getEdges().map((edge, index) => `      <edge id="e${index}" source="${ids.get(edge.from)}" target="${ids.get(edge.to)}" label="${xml(edge.type)}">
+        <attvalues>
+          <attvalue for="relationship_type" value="${xml(edge.type)}"/>
+          <attvalue for="sources" value="${xml(edge.sources.join('; '))}"/>
+          <attvalue for="first_seen" value="${xml(edge.firstSeen)}"/>
+        </attvalues>
+      </edge>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" version="1.3">
+  <meta lastmodifieddate="${new Date().toISOString().split('T')[0]}">
+    <creator>OSINT Data Aggregator</creator>
+    <description>${xml(title)}</description>
+  </meta>
+  <graph mode="static" defaultedgetype="directed">
+    <attributes class="node">
+      <attribute id="entity_type" title="entity_type" type="string"/>
+      <attribute id="sources" title="sources" type="string"/>
+      <attribute id="first_seen" title="first_seen" type="string"/>
+      <attribute id="searched" title="searched" type="boolean"/>
+    </attributes>
+    <attributes class="edge">
+      <attribute id="relationship_type" title="relationship_type" type="string"/>
+      <attribute id="sources" title="sources" type="string"/>
+      <attribute id="first_seen" title="first_seen" type="string"/>
+    </attributes>
+    <nodes>
+${nodes.join('\n')}
+    </nodes>
+    <edges>
+${edges.join('\n')}
+    </edges>
+  </graph>
+</gexf>
+`;
+    }
+
+    maltegoEntityFor(node) {
+        const type = node.type === 'ip' && node.id.includes(':') ? 'ipv6' : node.type;
+        return GraphExporter.MALTEGO_ENTITIES[type] || { type: 'maltego.Phrase', property: 'text' };
+    }
+
+    maltegoValueFor(node) {
+        if (node.type === 'asn') return node.id.replace(/^AS/i, '');
+        return node.type === 'social_profile' ? node.pivotValue : node.id;
+    }
+
+    // Link table for Maltego "Import Graph from Table": one row per relationship,
+    // plus one row for every entity without relationships
+    toMaltegoCSV(graph) {
+        const rows = [ExportManager.csvRow([
+            'Source Entity Type', 'Source Value', 'Target Entity Type', 'Target Value',
+            'Relationship Type', 'Sources', 'First Seen'
+        ])];
+        const linked = new Set();
+
+        graph.getEdges().forEach(edge => {
+            const from = graph.getNode(edge.from);
+            const to = graph.getNode(edge.to);
+            if (!from || !to) return;
+            linked.add(from.id);
+            linked.add(to.id);
+            rows.push(ExportManager.csvRow([
+                this.maltegoEntityFor(from).type, this.maltegoValueFor(from),
+                this.maltegoEntityFor(to).type, this.maltegoValueFor(to),
+                edge.type, edge.sources, edge.firstSeen
+            ]));
+        });
+
+        graph.getNodes().filter(node => !linked.has(node.id)).forEach(node => {
+            rows.push(ExportManager.csvRow([
+                this.maltegoEntityFor(node).type, this.maltegoValueFor(node), '', '', '', node.sources, node.firstSeen
+            ]));
+        });
+
+        return rows.join('\r\n');
+    }
+
+    // Maltego graph archive (zip holding a Maltego-flavoured GraphML graph)
+    toMTGX(graph) {
+        const xml = GraphExporter.escapeXml;
+        const ids = this.indexNodes(graph);
+        const property = (name, displayName, value) => `              <mtg:Property displayName="${xml(displayName)}" hidden="false" name="${xml(name)}" readonly="false" type="string">
+                <mtg:Value>${xml(value)}</mtg:Value>
+              </mtg:Property>`;
+
+        const nodes = graph.getNodes().map(node => {
+            const entity = this.maltegoEntityFor(node);
+            return `    <node id="${ids.get(node.id)}">
+      <data key="d0">
+        <mtg:MaltegoEntity type="${entity.type}">
+          <mtg:Properties>
+${property(entity.property, entity.property, this.maltegoValueFor(node))}
+${property('osint.entity_type', 'Entity Type', node.type)}
+${property('osint.sources', 'Sources', node.sources.join('; '))}
+${property('osint.first_seen', 'First Seen', node.firstSeen)}
+          </mtg:Properties>
+        </mtg:MaltegoEntity>
+      </data>
+    </node>`;
+        });
+
+        const edges = graph.getEdges().map((edge, index) => `    <edge id="e${index}" source="${ids.get(edge.from)}" target="${ids.get(edge.to)}">
+      <data key="d1">
+        <mtg:MaltegoLink type="maltego.link.manual-link">
+          <mtg:Properties>
+${property('maltego.link.manual.type', 'Label', edge.type)}
+${property('osint.sources', 'Sources', edge.sources.join('; '))}
+${property('osint.first_seen', 'First Seen', edge.firstSeen)}
+          </mtg:Properties>
+        </mtg:MaltegoLink>
+      </data>
+    </edge>`);
+
+        const graphml = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:mtg="http://maltego.paterva.com/xml/mtgx">
+  <key for="node" id="d0" attr.name="MaltegoEntity"/>
+  <key for="edge" id="d1" attr.name="MaltegoLink"/>
+  <graph edgedefault="directed" id="G">
+${[...nodes, ...edges].join('\n')}
+  </graph>
+</graphml>
+`;
+
+        return GraphExporter.zip([
+            { name: 'version.properties', content: 'maltego.graph.version=1.2\n' },
+            { name: 'Graphs/Graph1.graphml', content: graphml }
+        ]);
+    }
+
+    toCypher(graph) {
+        const cypher = GraphExporter.escapeCypher;
+        const ids = this.indexNodes(graph);
+        const label = (type) => type.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+        const list = (values) => `[${values.map(value => `'${cypher(value)}'`).join(', ')}]`;
+
+        const lines = [
+            '// OSINT Data Aggregator graph export',
+            `// Generated ${new Date().toISOString()}`
+        ];
+
+        graph.getNodes().forEach(node => {
+            lines.push(`CREATE (${ids.get(node.id)}:Entity:${label(node.type)} {id: '${cypher(node.id)}', label: '${cypher(node.label)}', entity_type: '${cypher(node.type)}', sources: ${list(node.sources)}, first_seen: '${cypher(node.firstSeen)}', searched: ${node.searched ? 'true' : 'false'}})`);
+        });
+
+        graph.getEdges().forEach(edge => {
+            lines.push(`CREATE (${ids.get(edge.from)})-[:${edge.type.toUpperCase().replace(/[^A-Z0-9_]/g, '_')} {relationship_type: '${cypher(edge.type)}', sources: ${list(edge.sources)}, first_seen: '${cypher(edge.firstSeen)}'}]->(${ids.get(edge.to)})`);
+        });
+
+        return lines.join('\n') + ';\n';
+    }
+
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // Minimal uncompressed (stored) zip archive writer
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = GraphExporter.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const archive = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+
+        return archive;
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.GraphExporter = GraphExporter;
+}
\ No newline at end of file
@@ -0,0 +1,113 @@
+// HTTP Record / Replay - fixture bundles for offline collector runs
+class HttpRecorder {
+    constructor() {
+        this.mode = 'live';
+        this.exchanges = new Map();
+    }
+
+    static get MODES() {
+        return ['live', 'record', 'replay'];
+    }
+
+    static get BUNDLE_FORMAT() {
+        return 'osint-aggregator-fixtures';
+    }
+
+    setMode(mode) {
+        if (!HttpRecorder.MODES.includes(mode)) {
+            throw new Error(`Unknown HTTP mode: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    static exchangeKey(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const body = typeof options.body === 'string' ? ` ${options.body}` : '';
+        return `${method} ${url}${body}`;
+    }
+
+    // Drop-in replacement for fetch() used by the collectors
+    async fetch(url, options = {}) {
+        const key = HttpRecorder.exchangeKey(url, options);
+
+        if (this.mode === 'replay') {
+            const exchange = this.exchanges.get(key);
+            if (!exchange) {
+                const error = new Error(`No recorded response for ${key}`);
+                error.fixtureMissing = true;
+                throw error;
+            }
+            return new Response(exchange.body, {
+                status: exchange.status,
+                statusText: exchange.statusText,
+                headers: exchange.headers
+            });
+        }
+
+        const response = await fetch(url, options);
+
+        if (this.mode === 'record') {
+            const body = await response.clone().text();
+            this.exchanges.set(key, {
+                key: key,
+                method: (options.method || 'GET').toUpperCase(),
+                url: url,
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body: body,
+                recordedAt: new Date().toISOString()
+            });
+        }
+
+        return response;
+    }
+
+    get size() {
+        return this.exchanges.size;
+    }
+
+    clear() {
+        this.exchanges.clear();
+    }
+
+    exportBundle() {
+        return {
+            format: HttpRecorder.BUNDLE_FORMAT,
+            version: 1,
+            createdAt: new Date().toISOString(),
+            exchanges: Array.from(this.exchanges.values())
+        };
+    }
+
+    // Load a fixture bundle, merging with anything already recorded
+    importBundle(bundle) {
+        if (!bundle || bundle.format !== HttpRecorder.BUNDLE_FORMAT || !Array.isArray(bundle.exchanges)) {
+            throw new Error('Not a fixture bundle');
+        }
+
+        let imported = 0;
+        bundle.exchanges.forEach(exchange => {
+            if (exchange && exchange.url && typeof exchange.body === 'string') {
+                const key = exchange.key || HttpRecorder.exchangeKey(exchange.url, { method: exchange.method });
+                this.exchanges.set(key, { ...exchange, key: key });
+                imported++;
+            }
+        });
+
+        return imported;
+    }
+
+    async loadBundleFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Fixture bundle request failed: ${response.status}`);
+        }
+        return this.importBundle(await response.json());
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.HttpRecorder = HttpRecorder;
+}
\ No newline at end of file
@@ -0,0 +1,258 @@
+// IP Address Utilities - IPv4/IPv6 parsing, CIDR ranges and special-purpose blocks
+class IpUtils {
+    // Special-purpose blocks (RFC 6890 and the IANA registries) that are flagged, never queried
+    static get SPECIAL_RANGES() {
+        return [
+            { cidr: '0.0.0.0/8', label: '"This network"', category: 'bogon' },
+            { cidr: '10.0.0.0/8', label: 'Private network', category: 'private' },
+            { cidr: '100.64.0.0/10', label: 'Shared address space (CGNAT)', category: 'private' },
+            { cidr: '127.0.0.0/8', label: 'Loopback', category: 'reserved' },
+            { cidr: '169.254.0.0/16', label: 'Link-local', category: 'reserved' },
+            { cidr: '172.16.0.0/12', label: 'Private network', category: 'private' },
+            { cidr: '192.0.0.0/24', label: 'IETF protocol assignments', category: 'reserved' },
+            { cidr: '192.0.2.0/24', label: 'Documentation (TEST-NET-1)', category: 'reserved' },
+            { cidr: '192.88.99.0/24', label: 'Deprecated 6to4 relay anycast', category: 'reserved' },
+            { cidr: '192.168.0.0/16', label: 'Private network', category: 'private' },
+            { cidr: '198.18.0.0/15', label: 'Benchmarking', category: 'reserved' },
+            { cidr: '198.51.100.0/24', label: 'Documentation (TEST-NET-2)', category: 'reserved' },
+            { cidr: '203.0.113.0/24', label: 'Documentation (TEST-NET-3)', category: 'reserved' },
+            { cidr: '224.0.0.0/4', label: 'Multicast', category: 'reserved' },
+            { cidr: '240.0.0.0/4', label: 'Reserved for future use', category: 'bogon' },
+            { cidr: '255.255.255.255/32', label: 'Limited broadcast', category: 'reserved' },
+            { cidr: '::/128', label: 'Unspecified address', category: 'bogon' },
+            { cidr: '::1/128', label: 'Loopback', category: 'reserved' },
+            { cidr: '100::/64', label: 'Discard-only', category: 'reserved' },
+            { cidr: '2001:db8::/32', label: 'Documentation', category: 'reserved' },
+            { cidr: '2001::/23', label: 'IETF protocol assignments', category: 'reserved' },
+            { cidr: 'fc00::/7', label: 'Unique local address', category: 'private' },
+            { cidr: 'fe80::/10', label: 'Link-local', category: 'reserved' },
+            { cidr: 'ff00::/8', label: 'Multicast', category: 'reserved' }
+        ];
+    }
+
+    static bits(version) {
+        return version === 4 ? 32n : 128n;
+    }
+
+    static parseIPv4(input) {
+        const match = String(input).trim().match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (!match) return null;
+
+        let value = 0n;
+        for (const octet of match.slice(1)) {
+            // Leading zeros are ambiguous (octal in some resolvers), so reject them
+            if (octet.length > 1 && octet.startsWith('0')) return null;
+            const number = Number(octet);
+            if (number > 255) return null;
+            value = (value << 8n) | BigInt(number);
+        }
+        return value;
+    }
+
+    static parseIPv6(input) {
+        let text = String(input).trim().toLowerCase();
+        if (!text.includes(':')) return null;
+
+        // Embedded IPv4 tail, e.g. ::ffff:192.0.2.1
+        const embedded = text.match(/^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/);
+        if (embedded) {
+            const ipv4 = IpUtils.parseIPv4(embedded[2]);
+            if (ipv4 === null) return null;
+            text = `${embedded[1]}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+        }
+
+        const halves = text.split('::');
+        if (halves.length > 2) return null;
+
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        let groups;
+
+        if (halves.length === 1) {
+            if (head.length !== 8) return null;
+            groups = head;
+        } else {
+            if (head.length + tail.length > 7) return null;
+            groups = [...head, ...Array(8 - head.length - tail.length).fill('0'), ...tail];
+        }
+
+        let value = 0n;
+        for (const group of groups) {
+            if (!/^[0-9a-f]{1,4}$/.test(group)) return null;
+            value = (value << 16n) | BigInt(parseInt(group, 16));
+        }
+        return value;
+    }
+
+    // { version, value } for a valid IPv4 or IPv6 address, otherwise null
+    static parse(address) {
+        const ipv4 = IpUtils.parseIPv4(address);
+        if (ipv4 !== null) return { version: 4, value: ipv4 };
+
+        const ipv6 = IpUtils.parseIPv6(address);
+        if (ipv6 !== null) return { version: 6, value: ipv6 };
+
+        return null;
+    }
+
+    static isIPv4(address) {
+        return IpUtils.parseIPv4(address) !== null;
+    }
+
+    static isIPv6(address) {
+        return IpUtils.parseIPv6(address) !== null;
+    }
+
+    static isIP(address) {
+        return IpUtils.parse(address) !== null;
+    }
+
+    // Canonical text form (RFC 5952 compression for IPv6)
+    static format(version, value) {
+        if (version === 4) {
+            return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+        }
+
+        if (value >> 32n === 0xffffn) {
+            return `::ffff:${IpUtils.format(4, value & 0xffffffffn)}`;
+        }
+
+        const groups = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            groups.push(Number((value >> shift) & 0xffffn));
+        }
+
+        // Longest run of two or more zero groups becomes "::"
+        let bestStart = -1;
+        let bestLength = 1;
+        for (let i = 0; i < 8; i++) {
+            let length = 0;
+            while (i + length < 8 && groups[i + length] === 0) length++;
+            if (length > bestLength) {
+                bestStart = i;
+                bestLength = length;
+            }
+        }
+
+        const hex = groups.map(group => group.toString(16));
+        if (bestStart === -1) return hex.join(':');
+        return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+    }
+
+    static normalize(address) {
+        const parsed = IpUtils.parse(address);
+        return parsed ? IpUtils.format(parsed.version, parsed.value) : null;
+    }
+
+    // { version, prefix, network, size, cidr, hostBitsSet } for a valid CIDR block, otherwise null
+    static parseCIDR(input) {
+        const match = String(input).trim().match(/^([^/\s]+)\/(\d{1,3})$/);
+        if (!match) return null;
+
+        const address = IpUtils.parse(match[1]);
+        if (!address) return null;
+
+        const bits = IpUtils.bits(address.version);
+        const prefix = BigInt(match[2]);
+        if (prefix > bits) return null;
+
+        const hostMask = (1n << (bits - prefix)) - 1n;
+        const network = address.value & ~hostMask & ((1n << bits) - 1n);
+
+        return {
+            version: address.version,
+            prefix: Number(prefix),
+            network: network,
+            size: hostMask + 1n,
+            cidr: `${IpUtils.format(address.version, network)}/${prefix}`,
+            hostBitsSet: (address.value & hostMask) !== 0n
+        };
+    }
+
+    static isCIDR(input) {
+        return IpUtils.parseCIDR(input) !== null;
+    }
+
+    // Enclosing block of an address: /24 for IPv4 and /48 for IPv6 unless a prefix is given
+    static networkBlock(address, prefix = null) {
+        const parsed = IpUtils.parse(address);
+        if (!parsed) return null;
+        return IpUtils.parseCIDR(`${address}/${prefix ?? (parsed.version === 4 ? 24 : 48)}`).cidr;
+    }
+
+    static rangeContains(range, version, value) {
+        return range.version === version && value >= range.network && value < range.network + range.size;
+    }
+
+    // Up to `limit` host addresses of a range; IPv4 network/broadcast and the
+    // IPv6 subnet-router anycast address are skipped where the block has room
+    static expandCIDR(range, limit = 16) {
+        const skipEnds = range.version === 4 ? range.prefix <= 30 : range.prefix <= 126;
+        const first = skipEnds ? range.network + 1n : range.network;
+        const last = range.network + range.size - 1n - (skipEnds && range.version === 4 ? 1n : 0n);
+        const usable = last - first + 1n;
+        const count = usable < BigInt(limit) ? usable : BigInt(limit);
+
+        const addresses = [];
+        for (let offset = 0n; offset < count; offset++) {
+            addresses.push(IpUtils.format(range.version, first + offset));
+        }
+
+        return { addresses: addresses, usable: usable, truncated: usable > count };
+    }
+
+    // Special-purpose block an address belongs to, or null for a public address
+    static classify(address) {
+        const parsed = IpUtils.parse(address);
+        if (!parsed) return null;
+
+        // IPv4-mapped IPv6 addresses take the classification of the IPv4 address
+        if (parsed.version === 6 && parsed.value >> 32n === 0xffffn) {
+            return IpUtils.classify(IpUtils.format(4, parsed.value & 0xffffffffn));
+        }
+
+        const special = IpUtils.SPECIAL_RANGES.find(entry =>
+            IpUtils.rangeContains(IpUtils.parseCIDR(entry.cidr), parsed.version, parsed.value));
+        if (special) return special;
+
+        // Outside 2000::/3 there is no globally routed IPv6 unicast space
+        if (parsed.version === 6 && parsed.value >> 125n !== 1n) {
+            return { cidr: '2000::/3', label: 'Outside global unicast space', category: 'bogon' };
+        }
+
+        return null;
+    }
+
+    // Special-purpose block that covers a whole range, or null if any part may be public
+    static classifyRange(range) {
+        const first = IpUtils.classify(IpUtils.format(range.version, range.network));
+        if (!first) return null;
+
+        const block = IpUtils.parseCIDR(first.cidr);
+        if (range.version === 6 && first.cidr === '2000::/3') {
+            // Bogon IPv6 space: the range is covered if its last address is outside 2000::/3 too
+            const last = range.network + range.size - 1n;
+            return last >> 125n !== 1n ? first : null;
+        }
+        if (block.version === range.version && block.prefix <= range.prefix) {
+            return first;
+        }
+        return null;
+    }
+
+    // PTR lookup name (in-addr.arpa / ip6.arpa)
+    static reverseName(address) {
+        const parsed = IpUtils.parse(address);
+        if (!parsed) return null;
+
+        if (parsed.version === 4) {
+            return `${IpUtils.format(4, parsed.value).split('.').reverse().join('.')}.in-addr.arpa`;
+        }
+        return `${parsed.value.toString(16).padStart(32, '0').split('').reverse().join('.')}.ip6.arpa`;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.IpUtils = IpUtils;
+}
\ No newline at end of file
@@ -0,0 +1,177 @@
+// Local IndexedDB Storage - shared database for persisted investigation data
+class LocalDatabase {
+    constructor(name = 'osint-aggregator') {
+        this.name = name;
+        this.db = null;
+    }
+
+    // Schema migrations, applied in order when the stored version is older
+    static get MIGRATIONS() {
+        return [
+            // v1: investigation cases
+            (db) => {
+                const cases = db.createObjectStore('cases', { keyPath: 'id' });
+                cases.createIndex('updatedAt', 'updatedAt');
+            },
+            // v2: monitored targets and their collection snapshots
+            (db) => {
+                db.createObjectStore('monitors', { keyPath: 'id' });
+                const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+                snapshots.createIndex('monitorId', 'monitorId');
+            },
+            // v3: imported breach metadata and the accounts each breach contains
+            (db) => {
+                db.createObjectStore('breaches', { keyPath: 'name' });
+                const records = db.createObjectStore('breachRecords', { keyPath: 'id' });
+                records.createIndex('breach', 'breach');
+                records.createIndex('email', 'email');
+                records.createIndex('username', 'username');
+                records.createIndex('domain', 'domain');
+            },
+            // v4: cached source results, kept until their TTL runs out
+            (db) => {
+                db.createObjectStore('cache', { keyPath: 'key' });
+            },
+            // v5: one rolling state per monitor; snapshots keep only their summary and
+            // changes, so the state of older snapshots is folded in and dropped
+            (db, transaction) => {
+                const states = db.createObjectStore('monitorStates', { keyPath: 'monitorId' });
+                const snapshots = transaction.objectStore('snapshots');
+                const request = snapshots.getAll();
+                request.onsuccess = () => {
+                    const rolling = new Map();
+                    request.result
+                        .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt))
+                        .filter(snapshot => snapshot.state)
+                        .forEach(snapshot => {
+                            const state = rolling.get(snapshot.monitorId) || {};
+                            Object.entries(snapshot.state).forEach(([key, value]) => {
+                                if (value !== null || !(key in state)) state[key] = value;
+                            });
+                            rolling.set(snapshot.monitorId, state);
+                            delete snapshot.state;
+                            snapshots.put(snapshot);
+                        });
+                    rolling.forEach((state, monitorId) => states.put({ monitorId: monitorId, state: state }));
+                };
+            }
+        ];
+    }
+
+    static get VERSION() {
+        return LocalDatabase.MIGRATIONS.length;
+    }
+
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, LocalDatabase.VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                LocalDatabase.MIGRATIONS
+                    .slice(event.oldVersion)
+                    .forEach(migrate => migrate(db, request.transaction));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+
+        return this.db;
+    }
+
+    // Run a single request against an object store and resolve with its result
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            let result;
+
+            request.onsuccess = () => { result = request.result; };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    }
+
+    getAllFromIndex(storeName, indexName, query) {
+        return this.request(storeName, 'readonly', store => store.index(indexName).getAll(query));
+    }
+
+    put(storeName, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value));
+    }
+
+    countFromIndex(storeName, indexName, query) {
+        return this.request(storeName, 'readonly', store => store.index(indexName).count(query));
+    }
+
+    // Write many values in one transaction
+    async putAll(storeName, values) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            values.forEach(value => store.put(value));
+
+            transaction.oncomplete = () => resolve(values.length);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Delete every value whose index key matches, without loading the values
+    async deleteFromIndex(storeName, indexName, query) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const cursorRequest = store.index(indexName).openKeyCursor(query);
+            let deleted = 0;
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                store.delete(cursor.primaryKey);
+                deleted++;
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.request(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LocalDatabase = LocalDatabase;
+}
\ No newline at end of file
@@ -0,0 +1,169 @@
+// MISP Event Export - typed and tagged attributes for MISP import
+class MispExporter {
+    static get TLP_LEVELS() {
+        return ['tlp:clear', 'tlp:green', 'tlp:amber', 'tlp:amber+strict', 'tlp:red'];
+    }
+
+    static get DISTRIBUTIONS() {
+        return {
+            0: 'Your organisation only',
+            1: 'This community only',
+            2: 'Connected communities',
+            3: 'All communities'
+        };
+    }
+
+    // Entity types and their MISP attribute type/category
+    static get ATTRIBUTE_TYPES() {
+        return {
+            domain: { type: 'domain', category: 'Network activity' },
+            subdomain: { type: 'hostname', category: 'Network activity' },
+            ip: { type: 'ip-dst', category: 'Network activity' },
+            cidr: { type: 'ip-dst', category: 'Network activity' },
+            url: { type: 'url', category: 'Network activity' },
+            phone: { type: 'phone-number', category: 'Person' },
+            asn: { type: 'AS', category: 'Network activity' },
+            hash: { type: 'sha256', category: 'Payload delivery' },
+            wallet: { type: 'text', category: 'Financial fraud' },
+            email: { type: 'email-src', category: 'Payload delivery' },
+            username: { type: 'text', category: 'Social network' },
+            social_profile: { type: 'text', category: 'Social network' },
+            person: { type: 'full-name', category: 'Person' },
+            organization: { type: 'text', category: 'Attribution' }
+        };
+    }
+
+    // Hashes are typed by algorithm and Bitcoin addresses have their own attribute type
+    static attributeTypeFor(node) {
+        const mapping = MispExporter.ATTRIBUTE_TYPES[node.type];
+        if (node.type === 'hash') {
+            return { ...mapping, type: TargetTypes.HASH_TYPES[node.id.length] || mapping.type };
+        }
+        if (node.type === 'wallet' && TargetTypes.parseWallet(node.id)?.chain === 'bitcoin') {
+            return { ...mapping, type: 'btc' };
+        }
+        return mapping;
+    }
+
+    // Source confidence (0-100) to the misp:confidence-level taxonomy
+    static confidenceTag(confidence) {
+        if (typeof confidence !== 'number') return 'misp:confidence-level="confidence-cannot-be-evaluated"';
+        if (confidence >= 95) return 'misp:confidence-level="completely-confident"';
+        if (confidence >= 75) return 'misp:confidence-level="usually-confident"';
+        if (confidence >= 50) return 'misp:confidence-level="fairly-confident"';
+        if (confidence >= 25) return 'misp:confidence-level="rarely-confident"';
+        return 'misp:confidence-level="unconfident"';
+    }
+
+    static epoch(timestamp) {
+        const time = new Date(timestamp).getTime();
+        return String(Math.floor((Number.isNaN(time) ? Date.now() : time) / 1000));
+    }
+
+    attribute(type, category, value, { comment, timestamp, confidence }) {
+        return {
+            uuid: crypto.randomUUID(),
+            type: type,
+            category: category,
+            value: value,
+            to_ids: false,
+            distribution: '5', // inherit event distribution
+            comment: comment || '',
+            timestamp: MispExporter.epoch(timestamp),
+            Tag: [{ name: MispExporter.confidenceTag(confidence) }]
+        };
+    }
+
+    toEvent(investigation, graph, options = {}) {
+        const tlp = MispExporter.TLP_LEVELS.includes(options.tlp) ? options.tlp : 'tlp:amber';
+        const distribution = String(options.distribution ?? 0);
+        if (!(distribution in MispExporter.DISTRIBUTIONS)) {
+            throw new Error(`Unsupported MISP distribution level: ${distribution}`);
+        }
+
+        const sourceConfidence = new Map((investigation.sources || []).map(result => [result.sourceName, result.confidence]));
+        const confidenceFor = (node) => {
+            // Searched targets are rated by the sources that returned data for them
+            const sourceNames = node.searched
+                ? (investigation.sources || []).filter(result => result.query === node.id && result.data?.found).map(result => result.sourceName)
+                : node.sources;
+            const values = sourceNames.map(name => sourceConfidence.get(name)).filter(value => typeof value === 'number');
+            return values.length > 0 ? Math.max(...values) : undefined;
+        };
+
+        const attributes = [];
+        const seen = new Set();
+        const add = (attribute) => {
+            const key = `${attribute.type}|${attribute.value}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                attributes.push(attribute);
+            }
+        };
+
+        // Graph entities
+        graph.getNodes().forEach(node => {
+            const mapping = MispExporter.attributeTypeFor(node);
+            if (!mapping) return;
+
+            const details = {
+                comment: [
+                    node.type === 'social_profile' ? `${node.id.split(':')[0]} profile` : node.type.replace('_', ' '),
+                    node.sources.length > 0 ? `via ${node.sources.join(', ')}` : ''
+                ].filter(Boolean).join(' '),
+                timestamp: node.firstSeen,
+                confidence: confidenceFor(node)
+            };
+            const value = node.type === 'social_profile' ? node.pivotValue : node.id;
+            add(this.attribute(mapping.type, mapping.category, value, details));
+
+            // Hosting organizations often carry their AS number
+            const asn = node.type === 'organization' && node.id.match(/^AS(\d+)\b/i);
+            if (asn) {
+                add(this.attribute('AS', 'Network activity', asn[1], details));
+            }
+        });
+
+        // Search dorks from the raw source results
+        (investigation.sources || []).forEach(sourceResult => {
+            const data = sourceResult.data || {};
+            const details = {
+                timestamp: sourceResult.timestamp,
+                confidence: sourceResult.confidence
+            };
+
+            (data.googleDorks || []).forEach(dork => {
+                add(this.attribute('text', 'Other', dork, {
+                    ...details,
+                    comment: `Search dork for ${sourceResult.query} via ${sourceResult.sourceName}`
+                }));
+            });
+        });
+
+        const now = new Date();
+
+        return {
+            Event: {
+                uuid: crypto.randomUUID(),
+                info: `OSINT investigation: ${investigation.query}`,
+                date: now.toISOString().split('T')[0],
+                timestamp: MispExporter.epoch(now),
+                threat_level_id: '4', // undefined
+                analysis: '1', // ongoing
+                distribution: distribution,
+                published: false,
+                Orgc: { name: 'OSINT Data Aggregator' },
+                Tag: [
+                    { name: tlp },
+                    { name: 'type:OSINT' }
+                ],
+                Attribute: attributes
+            }
+        };
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.MispExporter = MispExporter;
+}
\ No newline at end of file
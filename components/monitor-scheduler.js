@@ -0,0 +1,124 @@
+// Monitor Scheduler - interval re-collection for monitored targets while the app is open
+class MonitorScheduler {
+    // options: { store, collect(monitor) -> source results, onUpdate(monitor) }
+    constructor(options) {
+        this.store = options.store;
+        this.collect = options.collect;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.detector = new ChangeDetector();
+        this.running = new Set();
+        this.ticking = false;
+        this.timer = null;
+    }
+
+    static get TICK_INTERVAL() {
+        return 30000;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), MonitorScheduler.TICK_INTERVAL);
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Run due monitors one after another so they share the collectors' rate limits
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const now = Date.now();
+            const due = (await this.store.listMonitors())
+                .filter(monitor => monitor.enabled && new Date(monitor.nextRunAt).getTime() <= now);
+
+            for (const monitor of due) {
+                await this.runNow(monitor.id);
+            }
+        } catch (error) {
+            console.error('Monitoring tick failed:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async runNow(monitorId) {
+        if (this.running.has(monitorId)) return null;
+        this.running.add(monitorId);
+
+        let monitor = await this.store.getMonitor(monitorId);
+        if (!monitor) {
+            this.running.delete(monitorId);
+            return null;
+        }
+        this.onUpdate(monitor);
+
+        try {
+            const takenAt = new Date().toISOString();
+            const results = await this.collect(monitor);
+            if (!(await this.store.getMonitor(monitor.id))) {
+                return null;
+            }
+
+            // Compared with the rolling state: the latest known value of each category
+            const state = ChangeDetector.stateFrom(results);
+            const previous = await this.store.getState(monitor.id);
+            const changes = this.detector.diff(previous, state, {
+                target: monitor.target,
+                monitorId: monitor.id,
+                detectedAt: takenAt
+            });
+
+            const snapshot = await this.store.addSnapshot({
+                monitorId: monitor.id,
+                takenAt: takenAt,
+                baseline: previous === null,
+                sources: results.map(result => ({
+                    sourceName: result.sourceName,
+                    collectorName: result.collectorName,
+                    success: result.success,
+                    found: Boolean(result.data?.found),
+                    error: result.data?.error || null
+                })),
+                summary: ChangeDetector.summarize(state),
+                changes: changes
+            });
+            await this.store.saveState(monitor.id, ChangeDetector.merge(previous, state));
+
+            monitor = await this.store.updateMonitor(monitor.id, {
+                lastRunAt: takenAt,
+                nextRunAt: new Date(Date.now() + monitor.intervalMinutes * 60000).toISOString(),
+                snapshotCount: monitor.snapshotCount + 1,
+                changeCount: monitor.changeCount + changes.length,
+                lastError: null
+            });
+
+            return snapshot;
+        } catch (error) {
+            console.error(`Monitoring run failed for ${monitor.target}:`, error);
+            // The monitor may have been removed while it was running
+            monitor = await this.store.updateMonitor(monitor.id, {
+                lastRunAt: new Date().toISOString(),
+                nextRunAt: new Date(Date.now() + monitor.intervalMinutes * 60000).toISOString(),
+                lastError: error.message
+            }).catch(() => monitor);
+            return null;
+        } finally {
+            this.running.delete(monitorId);
+            this.onUpdate(monitor);
+        }
+    }
+
+    isRunning(monitorId) {
+        return this.running.has(monitorId);
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.MonitorScheduler = MonitorScheduler;
+}
\ No newline at end of file
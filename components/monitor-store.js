@@ -0,0 +1,118 @@
+// Monitor Store - monitored targets, the rolling state each run is compared with,
+// and a bounded history of run snapshots (counts and change events)
+class MonitorStore {
+    constructor(database) {
+        this.database = database;
+    }
+
+    // Snapshots kept per monitor; older ones are pruned as new runs are stored
+    static get MAX_SNAPSHOTS() {
+        return 50;
+    }
+
+    async initialize() {
+        await this.database.open();
+        return true;
+    }
+
+    async listMonitors() {
+        const monitors = await this.database.getAll('monitors');
+        return monitors.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async getMonitor(monitorId) {
+        return (await this.database.get('monitors', monitorId)) || null;
+    }
+
+    async addMonitor(target, searchType, intervalMinutes) {
+        const monitors = await this.listMonitors();
+        const existing = monitors.find(monitor => monitor.target === target && monitor.searchType === searchType);
+        if (existing) {
+            return this.updateMonitor(existing.id, { intervalMinutes: intervalMinutes, enabled: true });
+        }
+
+        const now = new Date();
+        const monitor = {
+            id: crypto.randomUUID(),
+            target: target,
+            searchType: searchType,
+            intervalMinutes: intervalMinutes,
+            enabled: true,
+            createdAt: now.toISOString(),
+            lastRunAt: null,
+            nextRunAt: now.toISOString(),
+            snapshotCount: 0,
+            changeCount: 0,
+            lastError: null
+        };
+
+        await this.database.put('monitors', monitor);
+        return monitor;
+    }
+
+    async updateMonitor(monitorId, changes) {
+        const monitor = await this.getMonitor(monitorId);
+        if (!monitor) {
+            throw new Error(`Monitor not found: ${monitorId}`);
+        }
+
+        Object.assign(monitor, changes);
+        await this.database.put('monitors', monitor);
+        return monitor;
+    }
+
+    async removeMonitor(monitorId) {
+        const snapshots = await this.listSnapshots(monitorId);
+        for (const snapshot of snapshots) {
+            await this.database.delete('snapshots', snapshot.id);
+        }
+        await this.database.delete('monitorStates', monitorId);
+        await this.database.delete('monitors', monitorId);
+    }
+
+    // Latest known certificates, subdomains and DNS records, or null before the first run
+    async getState(monitorId) {
+        const record = await this.database.get('monitorStates', monitorId);
+        return record ? record.state : null;
+    }
+
+    async saveState(monitorId, state) {
+        await this.database.put('monitorStates', { monitorId: monitorId, state: state, updatedAt: new Date().toISOString() });
+    }
+
+    async addSnapshot(snapshot) {
+        const record = { id: crypto.randomUUID(), ...snapshot };
+        await this.database.put('snapshots', record);
+
+        const snapshots = await this.listSnapshots(snapshot.monitorId);
+        for (const old of snapshots.slice(0, Math.max(0, snapshots.length - MonitorStore.MAX_SNAPSHOTS))) {
+            await this.database.delete('snapshots', old.id);
+        }
+        return record;
+    }
+
+    // Snapshots of one monitor, oldest first
+    async listSnapshots(monitorId) {
+        const snapshots = await this.database.getAllFromIndex('snapshots', 'monitorId', monitorId);
+        return snapshots.sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt));
+    }
+
+    async latestSnapshot(monitorId) {
+        const snapshots = await this.listSnapshots(monitorId);
+        return snapshots[snapshots.length - 1] || null;
+    }
+
+    // Change events of every monitor, newest first
+    async listChanges(limit = 100) {
+        const snapshots = await this.database.getAll('snapshots');
+        return snapshots
+            .flatMap(snapshot => snapshot.changes || [])
+            .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt))
+            .slice(0, limit);
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.MonitorStore = MonitorStore;
+}
\ No newline at end of file
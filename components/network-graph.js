@@ -0,0 +1,442 @@
+// Interactive Force-Directed Network Graph (canvas renderer)
+class NetworkGraphRenderer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.onPivot = options.onPivot || (() => {});
+
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIndex = new Map();
+        this.view = { x: 0, y: 0, scale: 1 };
+        this.size = { width: 0, height: 0 };
+        this.alpha = 0;
+        this.selected = null;
+        this.hovered = null;
+        this.pointer = null;
+        this.frame = null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'graph-canvas';
+        this.container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.bindEvents();
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this.container);
+    }
+
+    static get TYPE_COLORS() {
+        return {
+            domain: '#00ff88',
+            subdomain: '#22d3ee',
+            ip: '#f59e0b',
+            cidr: '#fb923c',
+            url: '#4ade80',
+            phone: '#facc15',
+            asn: '#38bdf8',
+            hash: '#f87171',
+            wallet: '#c084fc',
+            email: '#a78bfa',
+            username: '#f472b6',
+            social_profile: '#ec4899',
+            person: '#e879f9',
+            organization: '#60a5fa'
+        };
+    }
+
+    // Simulation tuning
+    static get FORCES() {
+        return {
+            repulsion: 260,
+            repulsionRange: 450,
+            linkDistance: 90,
+            linkStrength: 0.25,
+            gravity: 0.015,
+            velocityDecay: 0.55,
+            alphaDecay: 0.985,
+            alphaMin: 0.004
+        };
+    }
+
+    colorFor(type) {
+        return NetworkGraphRenderer.TYPE_COLORS[type] || '#b0b0b0';
+    }
+
+    // Replace graph data while keeping positions of nodes already on screen
+    setData(graphNodes, graphEdges) {
+        const previous = this.nodeIndex;
+        this.nodeIndex = new Map();
+
+        this.nodes = graphNodes.map(data => {
+            const existing = previous.get(data.id);
+            const node = existing || { id: data.id, x: NaN, y: NaN, vx: 0, vy: 0, fixed: false };
+            node.data = data;
+            node.degree = 0;
+            this.nodeIndex.set(data.id, node);
+            return node;
+        });
+
+        this.edges = graphEdges
+            .filter(edge => this.nodeIndex.has(edge.from) && this.nodeIndex.has(edge.to))
+            .map(edge => {
+                const source = this.nodeIndex.get(edge.from);
+                const target = this.nodeIndex.get(edge.to);
+                source.degree++;
+                target.degree++;
+                return { source: source, target: target, data: edge };
+            });
+
+        // Place new nodes next to an already positioned neighbour
+        this.nodes.forEach((node, index) => {
+            if (!Number.isNaN(node.x)) return;
+            const anchorEdge = this.edges.find(edge =>
+                (edge.target === node && !Number.isNaN(edge.source.x)) ||
+                (edge.source === node && !Number.isNaN(edge.target.x))
+            );
+            const anchor = anchorEdge ? (anchorEdge.source === node ? anchorEdge.target : anchorEdge.source) : null;
+            const angle = index * 2.399963; // golden angle spreads siblings evenly
+            const distance = anchor ? 40 + Math.random() * 20 : 20 * Math.sqrt(index + 1);
+            node.x = (anchor ? anchor.x : 0) + Math.cos(angle) * distance;
+            node.y = (anchor ? anchor.y : 0) + Math.sin(angle) * distance;
+        });
+
+        if (this.selected && !this.nodeIndex.has(this.selected.id)) {
+            this.selected = null;
+        }
+
+        this.reheat(1);
+    }
+
+    radiusFor(node) {
+        return 6 + Math.min(Math.sqrt(node.degree) * 2, 12);
+    }
+
+    reheat(alpha) {
+        this.alpha = Math.max(this.alpha, alpha);
+        this.requestFrame();
+    }
+
+    requestFrame() {
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+    }
+
+    tick() {
+        this.frame = null;
+        const forces = NetworkGraphRenderer.FORCES;
+
+        if (this.alpha > forces.alphaMin) {
+            this.simulate(forces);
+            this.alpha *= forces.alphaDecay;
+            this.requestFrame();
+        }
+
+        this.draw();
+    }
+
+    simulate(forces) {
+        const nodes = this.nodes;
+        const alpha = this.alpha;
+        const rangeSquared = forces.repulsionRange * forces.repulsionRange;
+
+        // Node repulsion
+        for (let i = 0; i < nodes.length; i++) {
+            const a = nodes[i];
+            for (let j = i + 1; j < nodes.length; j++) {
+                const b = nodes[j];
+                let dx = b.x - a.x;
+                let dy = b.y - a.y;
+                let distSquared = dx * dx + dy * dy;
+                if (distSquared > rangeSquared) continue;
+                if (distSquared < 1) {
+                    dx = Math.random() - 0.5;
+                    dy = Math.random() - 0.5;
+                    distSquared = 1;
+                }
+                const force = forces.repulsion * alpha / distSquared;
+                a.vx -= dx * force;
+                a.vy -= dy * force;
+                b.vx += dx * force;
+                b.vy += dy * force;
+            }
+        }
+
+        // Link springs
+        this.edges.forEach(edge => {
+            const dx = edge.target.x - edge.source.x;
+            const dy = edge.target.y - edge.source.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const shift = (distance - forces.linkDistance) / distance * alpha * forces.linkStrength;
+            edge.source.vx += dx * shift;
+            edge.source.vy += dy * shift;
+            edge.target.vx -= dx * shift;
+            edge.target.vy -= dy * shift;
+        });
+
+        // Gravity towards the centre and integration
+        nodes.forEach(node => {
+            if (node.fixed) {
+                node.vx = 0;
+                node.vy = 0;
+                return;
+            }
+            node.vx -= node.x * forces.gravity * alpha;
+            node.vy -= node.y * forces.gravity * alpha;
+            node.vx *= forces.velocityDecay;
+            node.vy *= forces.velocityDecay;
+            node.x += node.vx;
+            node.y += node.vy;
+        });
+    }
+
+    resize() {
+        const dpr = window.devicePixelRatio || 1;
+        this.size = { width: this.container.clientWidth, height: this.container.clientHeight };
+        this.canvas.width = Math.max(1, Math.floor(this.size.width * dpr));
+        this.canvas.height = Math.max(1, Math.floor(this.size.height * dpr));
+        this.requestFrame();
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const dpr = window.devicePixelRatio || 1;
+        const { width, height } = this.size;
+        const scale = this.view.scale;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!width || !height) return;
+
+        ctx.setTransform(
+            dpr * scale, 0, 0, dpr * scale,
+            dpr * (width / 2 + this.view.x),
+            dpr * (height / 2 + this.view.y)
+        );
+
+        const focus = this.selected || this.hovered;
+        const showAllEdgeLabels = scale >= 0.8 && this.edges.length <= 200;
+        const showAllNodeLabels = scale >= 0.9 || this.nodes.length <= 60;
+
+        // Edges
+        ctx.lineWidth = 1 / scale;
+        this.edges.forEach(edge => {
+            const highlighted = focus && (edge.source === focus || edge.target === focus);
+            ctx.strokeStyle = highlighted ? 'rgba(255, 255, 255, 0.8)' : 'rgba(176, 176, 176, 0.25)';
+            ctx.beginPath();
+            ctx.moveTo(edge.source.x, edge.source.y);
+            ctx.lineTo(edge.target.x, edge.target.y);
+            ctx.stroke();
+
+            if (highlighted || showAllEdgeLabels) {
+                ctx.font = `${10 / scale}px 'Segoe UI', sans-serif`;
+                ctx.fillStyle = highlighted ? '#ffffff' : 'rgba(176, 176, 176, 0.7)';
+                ctx.textAlign = 'center';
+                ctx.fillText(
+                    edge.data.type.replace('_', ' '),
+                    (edge.source.x + edge.target.x) / 2,
+                    (edge.source.y + edge.target.y) / 2 - 3 / scale
+                );
+            }
+        });
+
+        // Nodes
+        this.nodes.forEach(node => {
+            const radius = this.radiusFor(node);
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = this.colorFor(node.data.type);
+            ctx.fill();
+
+            if (node.data.searched || node === this.selected) {
+                ctx.lineWidth = (node === this.selected ? 3 : 2) / scale;
+                ctx.strokeStyle = node === this.selected ? '#ffffff' : '#0a0a0a';
+                ctx.stroke();
+            }
+
+            if (showAllNodeLabels || node === focus || node.data.searched) {
+                ctx.font = `${11 / scale}px 'Segoe UI', sans-serif`;
+                ctx.fillStyle = '#ffffff';
+                ctx.textAlign = 'center';
+                ctx.fillText(node.data.label, node.x, node.y + radius + 12 / scale);
+            }
+        });
+    }
+
+    screenToWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.size.width / 2 - this.view.x) / this.view.scale,
+            y: (clientY - rect.top - this.size.height / 2 - this.view.y) / this.view.scale
+        };
+    }
+
+    nodeAt(clientX, clientY) {
+        const point = this.screenToWorld(clientX, clientY);
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            const radius = this.radiusFor(node) + 3 / this.view.scale;
+            const dx = node.x - point.x;
+            const dy = node.y - point.y;
+            if (dx * dx + dy * dy <= radius * radius) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    bindEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            const node = this.nodeAt(e.clientX, e.clientY);
+            canvas.setPointerCapture(e.pointerId);
+            this.pointer = { node: node, startX: e.clientX, startY: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false };
+            if (node) {
+                node.fixed = true;
+            }
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.pointer) {
+                const hovered = this.nodeAt(e.clientX, e.clientY);
+                if (hovered !== this.hovered) {
+                    this.hovered = hovered;
+                    canvas.style.cursor = hovered ? 'pointer' : 'grab';
+                    this.requestFrame();
+                }
+                return;
+            }
+
+            const pointer = this.pointer;
+            if (Math.abs(e.clientX - pointer.startX) + Math.abs(e.clientY - pointer.startY) > 3) {
+                pointer.moved = true;
+            }
+
+            if (pointer.node) {
+                // Drag the node
+                const point = this.screenToWorld(e.clientX, e.clientY);
+                pointer.node.x = point.x;
+                pointer.node.y = point.y;
+                this.reheat(0.3);
+            } else {
+                // Pan the view
+                this.view.x += e.clientX - pointer.lastX;
+                this.view.y += e.clientY - pointer.lastY;
+                canvas.style.cursor = 'grabbing';
+                this.requestFrame();
+            }
+
+            pointer.lastX = e.clientX;
+            pointer.lastY = e.clientY;
+        });
+
+        canvas.addEventListener('pointerup', () => {
+            const pointer = this.pointer;
+            this.pointer = null;
+            canvas.style.cursor = 'grab';
+            if (!pointer) return;
+
+            if (pointer.node) {
+                pointer.node.fixed = false;
+            }
+            if (!pointer.moved) {
+                this.select(pointer.node);
+            }
+        });
+
+        canvas.addEventListener('dblclick', (e) => {
+            const node = this.nodeAt(e.clientX, e.clientY);
+            if (node) {
+                this.onPivot(node.data);
+            }
+        });
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = canvas.getBoundingClientRect();
+            this.zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+    }
+
+    select(node) {
+        this.selected = node;
+        this.onSelect(node ? node.data : null);
+        this.requestFrame();
+    }
+
+    selectById(id) {
+        this.select(this.nodeIndex.get(id) || null);
+    }
+
+    // Zoom keeping the point under (screenX, screenY) fixed
+    zoomAt(factor, screenX = this.size.width / 2, screenY = this.size.height / 2) {
+        const scale = Math.min(5, Math.max(0.1, this.view.scale * factor));
+        const applied = scale / this.view.scale;
+        const offsetX = screenX - this.size.width / 2 - this.view.x;
+        const offsetY = screenY - this.size.height / 2 - this.view.y;
+
+        this.view.x -= offsetX * (applied - 1);
+        this.view.y -= offsetY * (applied - 1);
+        this.view.scale = scale;
+        this.requestFrame();
+    }
+
+    fitToView() {
+        if (this.nodes.length === 0 || !this.size.width) return;
+
+        const xs = this.nodes.map(node => node.x);
+        const ys = this.nodes.map(node => node.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const padding = 60;
+
+        const scale = Math.min(
+            (this.size.width - padding) / Math.max(maxX - minX, 1),
+            (this.size.height - padding) / Math.max(maxY - minY, 1)
+        );
+
+        this.view.scale = Math.min(2, Math.max(0.1, scale));
+        this.view.x = -((minX + maxX) / 2) * this.view.scale;
+        this.view.y = -((minY + maxY) / 2) * this.view.scale;
+        this.requestFrame();
+    }
+
+    // Render the whole graph to a PNG data URL, independent of the on-screen view
+    toImage(width = 1200, height = 800) {
+        if (this.nodes.length === 0) return null;
+
+        const saved = { canvas: this.canvas, ctx: this.ctx, size: this.size, view: { ...this.view }, selected: this.selected, hovered: this.hovered };
+        const canvas = document.createElement('canvas');
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.size = { width: width, height: height };
+        this.selected = null;
+        this.hovered = null;
+        this.fitToView();
+        this.draw();
+
+        const image = canvas.toDataURL('image/png');
+        Object.assign(this, saved);
+        return image;
+    }
+
+    destroy() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.resizeObserver.disconnect();
+        this.canvas.remove();
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.NetworkGraphRenderer = NetworkGraphRenderer;
+}
\ No newline at end of file
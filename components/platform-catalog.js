@@ -0,0 +1,137 @@
+// Platform Catalog - username-check sites in the WhatsMyName wmn-data.json schema
+// ({ categories, sites: [{ name, uri_check, uri_pretty, e_code, e_string, m_code,
+// m_string, known, cat, headers, post_body, strip_bad_char }] }). Two optional
+// fields are our own: username_regex and username_hint describe valid usernames.
+class PlatformCatalog {
+    constructor(data = {}, meta = {}) {
+        this.sites = (data.sites || [])
+            .filter(site => site.valid !== false)
+            .map(site => PlatformCatalog.normalizeSite(site));
+        this.categories = Array.from(new Set([
+            ...(data.categories || []),
+            ...this.sites.map(site => site.category)
+        ])).sort();
+        this.source = meta.source || 'bundled';
+        this.importedAt = meta.importedAt || null;
+        this.data = data;
+    }
+
+    static get STORAGE_KEY() {
+        return 'osint-aggregator:platform-catalog';
+    }
+
+    static get BUNDLED_PATH() {
+        return './data/platforms.json';
+    }
+
+    // Throws with the first problem found, so an import can be rejected whole
+    static validate(data) {
+        if (!data || !Array.isArray(data.sites)) {
+            throw new Error('Not a WhatsMyName catalog: missing "sites" array');
+        }
+        data.sites.forEach((site, index) => {
+            const label = site && site.name ? `"${site.name}"` : `#${index + 1}`;
+            if (!site || typeof site.name !== 'string' || typeof site.uri_check !== 'string') {
+                throw new Error(`Site ${label} needs "name" and "uri_check"`);
+            }
+            if (!site.uri_check.includes('{account}')) {
+                throw new Error(`Site ${label}: "uri_check" has no {account} placeholder`);
+            }
+            if (site.e_code === undefined && !site.e_string) {
+                throw new Error(`Site ${label} needs "e_code" or "e_string"`);
+            }
+            if (site.username_regex) {
+                new RegExp(site.username_regex);
+            }
+        });
+        return data;
+    }
+
+    static normalizeSite(site) {
+        return {
+            name: site.name,
+            category: site.cat || 'misc',
+            checkUrl: site.uri_check,
+            profileUrl: site.uri_pretty || site.uri_check,
+            headers: site.headers || null,
+            postBody: site.post_body || null,
+            stripBadChar: site.strip_bad_char || '',
+            usernamePattern: site.username_regex ? new RegExp(site.username_regex) : null,
+            usernameHint: site.username_hint || null,
+            known: site.known || [],
+            signals: {
+                existsStatus: site.e_code,
+                existsMarker: site.e_string || null,
+                missingStatus: site.m_code,
+                missingMarker: site.m_string || null,
+                followRedirects: false
+            }
+        };
+    }
+
+    // Bundled catalog, replaced by an imported one kept in localStorage
+    static async load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PlatformCatalog.STORAGE_KEY));
+            if (stored && stored.data) {
+                return new PlatformCatalog(stored.data, { source: stored.source, importedAt: stored.importedAt });
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable imported platform catalog:', error);
+        }
+
+        try {
+            const response = await fetch(PlatformCatalog.BUNDLED_PATH);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return new PlatformCatalog(PlatformCatalog.validate(await response.json()));
+        } catch (error) {
+            console.error('Error loading platform catalog:', error);
+            return new PlatformCatalog();
+        }
+    }
+
+    // Replace the catalog with an imported wmn-data.json file
+    static import(text, fileName) {
+        const data = PlatformCatalog.validate(JSON.parse(text));
+        const catalog = new PlatformCatalog(data, { source: fileName, importedAt: new Date().toISOString() });
+        localStorage.setItem(PlatformCatalog.STORAGE_KEY, JSON.stringify({
+            source: catalog.source,
+            importedAt: catalog.importedAt,
+            data: data
+        }));
+        return catalog;
+    }
+
+    static clearImported() {
+        localStorage.removeItem(PlatformCatalog.STORAGE_KEY);
+    }
+
+    // Sites in the given categories (all sites when none are given)
+    sitesIn(categories = []) {
+        return categories && categories.length > 0
+            ? this.sites.filter(site => categories.includes(site.category))
+            : this.sites;
+    }
+
+    // Username as the site expects it, or null when the site's rules reject it
+    static accountFor(site, username) {
+        const account = site.stripBadChar
+            ? username.split('').filter(char => !site.stripBadChar.includes(char)).join('')
+            : username;
+        if (!account || (site.usernamePattern && !site.usernamePattern.test(account))) {
+            return null;
+        }
+        return account;
+    }
+
+    static fill(template, account) {
+        return template.replace(/\{account\}/g, encodeURIComponent(account));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PlatformCatalog = PlatformCatalog;
+}
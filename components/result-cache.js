@@ -0,0 +1,112 @@
+// Result Cache - source results keyed by source, search type and target, kept in
+// memory and persisted to IndexedDB so they survive reloads until their TTL runs out
+class ResultCache {
+    constructor(database = null) {
+        this.database = database;
+        this.entries = new Map();
+        this.loaded = false;
+    }
+
+    // Seconds a result is kept when neither the source nor the settings give a TTL
+    static get DEFAULT_TTL() {
+        return 3600;
+    }
+
+    static key(sourceId, searchType, query) {
+        return `${sourceId}:${searchType}:${query}`;
+    }
+
+    // Persisted entries are read once; without storage the cache lives for the session
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!this.database) return;
+
+        try {
+            const stored = await this.database.getAll('cache');
+            stored.forEach(entry => this.entries.set(entry.key, entry));
+            await this.purgeExpired();
+        } catch (error) {
+            console.warn('Result cache storage unavailable, caching for this session only:', error);
+            this.database = null;
+        }
+    }
+
+    static isExpired(entry, now = Date.now()) {
+        return new Date(entry.expiresAt).getTime() <= now;
+    }
+
+    async get(key) {
+        await this.load();
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (ResultCache.isExpired(entry)) {
+            await this.delete(key);
+            return null;
+        }
+        // Callers may annotate the result they get; keep the cached copy untouched
+        return { ...entry, result: structuredClone(entry.result) };
+    }
+
+    // meta: { sourceId, sourceName, searchType, query }; a TTL of 0 disables caching
+    async set(key, result, ttlSeconds, meta = {}) {
+        await this.load();
+        if (!(ttlSeconds > 0)) return null;
+
+        const cachedAt = new Date();
+        const entry = {
+            key: key,
+            ...meta,
+            result: structuredClone(result),
+            ttl: ttlSeconds,
+            cachedAt: cachedAt.toISOString(),
+            expiresAt: new Date(cachedAt.getTime() + ttlSeconds * 1000).toISOString()
+        };
+        this.entries.set(key, entry);
+        await this.persist(db => db.put('cache', entry));
+        return entry;
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+        await this.persist(db => db.delete('cache', key));
+    }
+
+    async clear() {
+        this.entries.clear();
+        await this.persist(db => db.clear('cache'));
+    }
+
+    async purgeExpired() {
+        const now = Date.now();
+        const expired = Array.from(this.entries.values()).filter(entry => ResultCache.isExpired(entry, now));
+        for (const entry of expired) {
+            await this.delete(entry.key);
+        }
+        return expired.length;
+    }
+
+    // Every entry, newest first, with expired ones flagged rather than dropped
+    async list() {
+        await this.load();
+        const now = Date.now();
+        return Array.from(this.entries.values())
+            .map(entry => ({ ...entry, expired: ResultCache.isExpired(entry, now) }))
+            .sort((a, b) => new Date(b.cachedAt) - new Date(a.cachedAt));
+    }
+
+    // A failed write only costs persistence; the in-memory entry still serves this session
+    async persist(operation) {
+        if (!this.database) return;
+        try {
+            await operation(this.database);
+        } catch (error) {
+            console.warn('Result cache write failed:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ResultCache = ResultCache;
+}
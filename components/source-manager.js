@@ -1,21 +1,45 @@
 // Integrated OSINT Source Manager with Real Data Collection
 class SourceManager {
-    constructor() {
+    // options: { database } persists cached results across reloads
+    constructor(options = {}) {
         this.sources = null;
-        this.cache = new Map();
+        this.cache = new ResultCache(options.database || null);
         this.activeRequests = new Set();
         this.initialized = false;
         this.collector = null;
+        this.registry = null;
+        this.http = new HttpRecorder();
+        this.settingsOverride = this.loadSettingsOverride();
+    }
+
+    static get SETTINGS_KEY() {
+        return 'osint-aggregator:settings';
     }
 
     async initialize() {
         try {
             console.log('Initializing real OSINT intelligence sources...');
             
+            this.sources = await this.loadSources();
+            
             // Initialize the real data collector
-            this.collector = new OSINTCollector();
+            const settings = this.sources.settings || {};
+            this.collector = new OSINTCollector({
+                endpoints: this.getEndpoints(),
+                http: this.http,
+                dnsResolver: this.settingsOverride.dnsResolver || settings.dnsResolver,
+                compareResolvers: this.settingsOverride.compareResolvers ?? settings.compareResolvers,
+                platformCatalog: await PlatformCatalog.load(),
+                platformCategories: this.settingsOverride.platformCategories
+            });
+            await this.initializeHttpMode();
+            
+            // Register built-in and plugin collectors
+            this.registry = new CollectorRegistry();
+            BUILTIN_COLLECTORS.forEach(definition => this.registry.register(definition));
+            await this.loadCollectorPlugins(this.sources.collectorPlugins || []);
+            this.reportMisconfiguredSources();
             
-            this.sources = await this.loadSources();
             this.initialized = true;
             
             console.log(`Loaded ${this.getTotalSourceCount()} real OSINT intelligence sources`);
@@ -39,6 +63,127 @@ class SourceManager {
         }
     }
 
+    // Endpoints from sources.json, overridden by locally saved settings
+    getEndpoints() {
+        return {
+            ...(this.sources?.endpoints || {}),
+            ...(this.settingsOverride.endpoints || {})
+        };
+    }
+
+    loadSettingsOverride() {
+        try {
+            return JSON.parse(localStorage.getItem(SourceManager.SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable settings override:', error);
+            return {};
+        }
+    }
+
+    saveSettingsOverride(override) {
+        this.settingsOverride = override;
+        localStorage.setItem(SourceManager.SETTINGS_KEY, JSON.stringify(override));
+    }
+
+    updateEndpoints(endpoints) {
+        this.saveSettingsOverride({ ...this.settingsOverride, endpoints: endpoints });
+        this.collector.setEndpoints(this.getEndpoints());
+    }
+
+    resetEndpoints() {
+        const { endpoints, ...rest } = this.settingsOverride;
+        this.saveSettingsOverride(rest);
+        this.collector.setEndpoints(this.getEndpoints());
+    }
+
+    // Apply the configured record/replay mode, preloading a fixture bundle if one is set
+    async initializeHttpMode() {
+        const settings = this.sources.settings || {};
+        const mode = this.settingsOverride.httpMode || settings.httpMode || 'live';
+
+        if (settings.fixtureBundle) {
+            try {
+                const count = await this.http.loadBundleFromUrl(settings.fixtureBundle);
+                console.log(`Loaded ${count} recorded HTTP exchanges from ${settings.fixtureBundle}`);
+            } catch (error) {
+                console.error('Failed to load fixture bundle:', error);
+            }
+        }
+
+        this.http.setMode(mode);
+    }
+
+    setHttpMode(mode) {
+        this.http.setMode(mode);
+        this.saveSettingsOverride({ ...this.settingsOverride, httpMode: mode });
+    }
+
+    setDnsResolver(resolver, compareResolvers) {
+        this.collector.setDnsResolver(resolver, compareResolvers);
+        this.saveSettingsOverride({
+            ...this.settingsOverride,
+            dnsResolver: this.collector.dnsResolver,
+            compareResolvers: this.collector.compareResolvers
+        });
+    }
+
+    setPlatformCategories(categories) {
+        this.collector.setPlatformCategories(categories);
+        this.saveSettingsOverride({ ...this.settingsOverride, platformCategories: this.collector.platformCategories });
+    }
+
+    importPlatformCatalog(text, fileName) {
+        this.collector.setPlatformCatalog(PlatformCatalog.import(text, fileName));
+        return this.collector.platformCatalog;
+    }
+
+    async resetPlatformCatalog() {
+        PlatformCatalog.clearImported();
+        this.collector.setPlatformCatalog(await PlatformCatalog.load());
+    }
+
+    // Load extra collector scripts listed in sources.json; each script queues
+    // definitions on window.OSINTCollectorPlugins for registration
+    async loadCollectorPlugins(scriptPaths) {
+        await Promise.all(scriptPaths.map(src => new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                console.error(`Failed to load collector plugin: ${src}`);
+                resolve();
+            };
+            document.head.appendChild(script);
+        })));
+
+        (window.OSINTCollectorPlugins || []).forEach(definition => {
+            try {
+                this.registry.register(definition);
+                console.log(`Registered collector plugin: ${definition.name}`);
+            } catch (error) {
+                console.error('Collector plugin registration failed:', error);
+            }
+        });
+    }
+
+    reportMisconfiguredSources() {
+        Object.entries(this.sources.categories).forEach(([searchType, category]) => {
+            category.sources.filter(source => source.enabled).forEach(source => {
+                const { error } = this.registry.resolve(source, searchType);
+                if (error) {
+                    console.warn(`Misconfigured ${searchType} source: ${error}`);
+                }
+            });
+        });
+    }
+
+    getCollectorForResult(sourceResult) {
+        if (!this.registry || !sourceResult.collectorName) {
+            return null;
+        }
+        return this.registry.get(sourceResult.collectorName);
+    }
+
     getFallbackSources() {
         return {
             version: "2.0",
@@ -107,17 +252,27 @@ class SourceManager {
         return result;
     }
 
-    async querySource(sourceId, query, searchType) {
-        const source = this.findSourceById(sourceId);
+    // Seconds a source's results stay cached: its own cacheTTL, else settings.cacheTTL
+    cacheTTLFor(source) {
+        const settings = (this.sources && this.sources.settings) || {};
+        return source.cacheTTL ?? settings.cacheTTL ?? ResultCache.DEFAULT_TTL;
+    }
+
+    // options: { bypassCache }; bypassCache skips the cached result but still stores the fresh one
+    async querySource(sourceId, query, searchType, options = {}) {
+        const source = this.findSourceById(sourceId, searchType);
         if (!source) {
             throw new Error(`Source not found: ${sourceId}`);
         }
 
         // Check cache first
-        const cacheKey = `${sourceId}:${query}`;
-        if (this.cache.has(cacheKey)) {
-            console.log(`Cache hit for ${sourceId}:${query}`);
-            return this.cache.get(cacheKey);
+        const cacheKey = ResultCache.key(sourceId, searchType, query);
+        if (!options.bypassCache) {
+            const cached = await this.cache.get(cacheKey);
+            if (cached) {
+                console.log(`Cache hit for ${cacheKey}`);
+                return { ...cached.result, fromCache: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt };
+            }
         }
 
         // Rate limiting
@@ -133,8 +288,15 @@ class SourceManager {
             // Use real data collection
             const result = await this.performRealIntelligenceGathering(source, query, searchType);
             
-            // Cache the result
-            this.cache.set(cacheKey, result);
+            // Cache successful results only, so a failed lookup is retried next time
+            if (result.success) {
+                await this.cache.set(cacheKey, result, this.cacheTTLFor(source), {
+                    sourceId: source.id,
+                    sourceName: source.name,
+                    searchType: searchType,
+                    query: query
+                });
+            }
             
             return result;
         } finally {
@@ -143,42 +305,40 @@ class SourceManager {
     }
 
     async performRealIntelligenceGathering(source, query, searchType) {
-        try {
-            let intelligenceData;
+        const { collector, error: bindingError } = this.registry.resolve(source, searchType);
+        
+        if (!collector) {
+            console.warn(`Skipping misconfigured source ${source.name}: ${bindingError}`);
             
-            switch (source.id) {
-                case 'certificate_intelligence':
-                    intelligenceData = await this.collector.getCertificateData(query);
-                    break;
-                    
-                case 'dns_intelligence':
-                    intelligenceData = await this.collector.getDNSRecords(query);
-                    break;
-                    
-                case 'social_intelligence':
-                    intelligenceData = await this.collector.checkSocialPresence(query);
-                    break;
-                    
-                case 'email_intelligence':
-                    intelligenceData = await this.collector.analyzeEmail(query);
-                    break;
-                    
-                case 'ip_intelligence':
-                    intelligenceData = await this.collector.getIPGeolocation(query);
-                    break;
-                    
-                case 'search_intelligence':
-                    intelligenceData = await this.collector.searchEngineIntelligence(query, searchType);
-                    break;
-                    
-                default:
-                    // Fallback for undefined sources
-                    intelligenceData = await this.performBasicAnalysis(query, source);
-            }
+            return {
+                sourceId: source.id,
+                sourceName: source.name,
+                query: query,
+                searchType: searchType,
+                confidence: source.confidence,
+                timestamp: new Date().toISOString(),
+                data: {
+                    found: false,
+                    error: bindingError,
+                    query: query,
+                    collectionMethod: 'Collector binding'
+                },
+                success: false,
+                dataType: 'misconfigured'
+            };
+        }
+        
+        try {
+            const intelligenceData = await collector.collect(query, searchType, {
+                collector: this.collector,
+                source: source,
+                settings: this.registry.settingsFor(collector, source)
+            });
             
             return {
                 sourceId: source.id,
                 sourceName: source.name,
+                collectorName: collector.name,
                 query: query,
                 searchType: searchType,
                 confidence: source.confidence,
@@ -194,6 +354,7 @@ class SourceManager {
             return {
                 sourceId: source.id,
                 sourceName: source.name,
+                collectorName: collector.name,
                 query: query,
                 searchType: searchType,
                 confidence: source.confidence,
@@ -210,20 +371,15 @@ class SourceManager {
         }
     }
 
-    async performBasicAnalysis(query, source) {
-        // Basic analysis for sources not yet implemented
-        return {
-            found: true,
-            query: query,
-            message: `Basic analysis completed by ${source.name}`,
-            analysisType: source.type,
-            confidence: source.confidence,
-            collectionMethod: 'Basic pattern analysis',
-            recommendation: 'Implement specific collector method for enhanced results'
-        };
-    }
-
-    findSourceById(sourceId) {
+    findSourceById(sourceId, searchType = null) {
+        // Prefer the entry from the searched category, since the same source id
+        // can be bound differently per category
+        if (searchType) {
+            const categorySource = this.getSourcesForType(searchType).find(source => source.id === sourceId);
+            if (categorySource) {
+                return categorySource;
+            }
+        }
         const allSources = this.getAllSources();
         return allSources.find(source => source.id === sourceId);
     }
@@ -291,12 +447,12 @@ class SourceManager {
     }
 
     // Export intelligence data
-    exportIntelligence(format = 'json') {
+    async exportIntelligence(format = 'json') {
         const allCachedData = {};
         
-        this.cache.forEach((value, key) => {
-            allCachedData[key] = {
-                ...value,
+        (await this.cache.list()).forEach(entry => {
+            allCachedData[entry.key] = {
+                ...entry.result,
                 exportedAt: new Date().toISOString()
             };
         });
@@ -327,7 +483,7 @@ class SourceManager {
             }
         });
         
-        return rows.map(row => row.join(',')).join('\n');
+        return rows.map(row => ExportManager.csvRow(row)).join('\r\n');
     }
 }
 
@@ -0,0 +1,330 @@
+// STIX 2.1 Bundle Conversion - export and re-import of the investigation graph
+class StixConverter {
+    // Namespace for deterministic SCO identifiers (STIX 2.1 section 2.9)
+    static get SCO_NAMESPACE() {
+        return '00abedb4-aa42-466c-9c01-fed23315a9b7';
+    }
+
+    // Graph relationship types and their STIX relationship_type
+    static get RELATIONSHIP_TYPES() {
+        return {
+            resolves_to: 'resolves-to',
+            subdomain: 'has-subdomain',
+            social_profile: 'has-social-profile',
+            organization: 'belongs-to',
+            contains: 'contains',
+            hosted_on: 'hosted-on',
+            reverse_dns: 'resolves-to',
+            pivot: 'related-to',
+            certificate: 'related-to',
+            shares_certificate: 'related-to',
+            alias: 'related-to'
+        };
+    }
+
+    // Hash length to STIX hash algorithm name
+    static get HASH_ALGORITHMS() {
+        return { 64: 'SHA-256', 40: 'SHA-1', 32: 'MD5' };
+    }
+
+    constructor() {
+        this.toolIdentity = {
+            type: 'identity',
+            spec_version: '2.1',
+            id: 'identity--5b0f2e8e-3d0b-4c7e-9f1e-8a4f7e3b2c10',
+            created: '2025-09-08T00:00:00.000Z',
+            modified: '2025-09-08T00:00:00.000Z',
+            name: 'OSINT Data Aggregator',
+            identity_class: 'system'
+        };
+    }
+
+    // Canonical JSON (sorted keys) used for deterministic identifiers
+    static canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => StixConverter.canonicalJSON(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${StixConverter.canonicalJSON(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    static async uuidv5(name, namespace = StixConverter.SCO_NAMESPACE) {
+        const namespaceBytes = namespace.replace(/-/g, '').match(/../g).map(hex => parseInt(hex, 16));
+        const nameBytes = Array.from(new TextEncoder().encode(name));
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', new Uint8Array([...namespaceBytes, ...nameBytes])));
+
+        const bytes = hash.slice(0, 16);
+        bytes[6] = (bytes[6] & 0x0f) | 0x50;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // CT log dates come without a zone designator and are UTC
+    static timestamp(value) {
+        if (!value) return undefined;
+        const date = new Date(/(z|[+-]\d\d:?\d\d)$/i.test(value) ? value : `${value}Z`);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+
+    static async scoId(type, idContributing) {
+        return `${type}--${await StixConverter.uuidv5(StixConverter.canonicalJSON(idContributing))}`;
+    }
+
+    // Highest confidence of the sources that reported an entity
+    confidenceFor(sourceNames, sourceConfidence) {
+        const values = sourceNames.map(name => sourceConfidence.get(name)).filter(value => typeof value === 'number');
+        return values.length > 0 ? Math.max(...values) : undefined;
+    }
+
+    async entityToStix(node, confidence) {
+        const custom = {
+            x_osint_entity_type: node.type,
+            x_osint_sources: node.sources,
+            x_osint_first_seen: node.firstSeen,
+            x_osint_searched: node.searched || undefined,
+            x_osint_confidence: confidence
+        };
+
+        switch (node.type) {
+            case 'domain':
+            case 'subdomain':
+                return { type: 'domain-name', spec_version: '2.1', id: await StixConverter.scoId('domain-name', { value: node.id }), value: node.id, ...custom };
+
+            case 'ip':
+            case 'cidr': {
+                const type = node.id.includes(':') ? 'ipv6-addr' : 'ipv4-addr';
+                return { type: type, spec_version: '2.1', id: await StixConverter.scoId(type, { value: node.id }), value: node.id, ...custom };
+            }
+
+            case 'url':
+                return { type: 'url', spec_version: '2.1', id: await StixConverter.scoId('url', { value: node.id }), value: node.id, ...custom };
+
+            case 'asn': {
+                const number = Number(node.id.replace(/^AS/i, ''));
+                return { type: 'autonomous-system', spec_version: '2.1', id: await StixConverter.scoId('autonomous-system', { number: number }), number: number, ...custom };
+            }
+
+            case 'hash': {
+                const hashes = { [StixConverter.HASH_ALGORITHMS[node.id.length]]: node.id };
+                return { type: 'file', spec_version: '2.1', id: await StixConverter.scoId('file', { hashes: hashes }), hashes: hashes, ...custom };
+            }
+
+            case 'email':
+                return { type: 'email-addr', spec_version: '2.1', id: await StixConverter.scoId('email-addr', { value: node.id }), value: node.id, ...custom };
+
+            case 'username':
+            case 'social_profile': {
+                const [platform, login] = node.type === 'social_profile' ? [node.id.split(':')[0], node.pivotValue] : [undefined, node.id];
+                const contributing = platform ? { account_login: login, account_type: platform } : { account_login: login };
+                return {
+                    type: 'user-account',
+                    spec_version: '2.1',
+                    id: await StixConverter.scoId('user-account', contributing),
+                    ...contributing,
+                    ...custom
+                };
+            }
+
+            case 'organization':
+            case 'person':
+                return {
+                    type: 'identity',
+                    spec_version: '2.1',
+                    id: `identity--${await StixConverter.uuidv5(`${node.type}:${node.id}`)}`,
+                    created: node.firstSeen,
+                    modified: node.firstSeen,
+                    created_by_ref: this.toolIdentity.id,
+                    name: node.id,
+                    identity_class: node.type === 'person' ? 'individual' : 'organization',
+                    confidence: confidence,
+                    ...custom,
+                    x_osint_confidence: undefined
+                };
+
+            default:
+                return null;
+        }
+    }
+
+    async certificatesToStix(investigation, idMap, sourceConfidence) {
+        const objects = [];
+        const seen = new Set();
+
+        for (const sourceResult of investigation.sources || []) {
+            const certificates = sourceResult.data?.certificates || [];
+            const domainId = idMap.get(sourceResult.data.domain || sourceResult.query);
+
+            for (const cert of certificates) {
+                if (!cert.serialNumber || seen.has(cert.serialNumber)) continue;
+                seen.add(cert.serialNumber);
+
+                const certificate = {
+                    type: 'x509-certificate',
+                    spec_version: '2.1',
+                    id: await StixConverter.scoId('x509-certificate', { serial_number: cert.serialNumber }),
+                    serial_number: cert.serialNumber,
+                    issuer: cert.issuer,
+                    subject: cert.subject,
+                    validity_not_before: StixConverter.timestamp(cert.notBefore),
+                    validity_not_after: StixConverter.timestamp(cert.notAfter),
+                    x_osint_sources: [sourceResult.sourceName],
+                    x_osint_first_seen: sourceResult.timestamp,
+                    x_osint_confidence: sourceConfidence.get(sourceResult.sourceName)
+                };
+                objects.push(certificate);
+
+                if (domainId) {
+                    objects.push(this.relationship(certificate.id, domainId, 'certificate', sourceResult.sourceName, sourceResult.timestamp, certificate.x_osint_confidence));
+                }
+            }
+        }
+
+        return objects;
+    }
+
+    relationship(sourceRef, targetRef, edgeType, sourceName, timestamp, confidence) {
+        return {
+            type: 'relationship',
+            spec_version: '2.1',
+            id: `relationship--${crypto.randomUUID()}`,
+            created: timestamp,
+            modified: timestamp,
+            created_by_ref: this.toolIdentity.id,
+            relationship_type: StixConverter.RELATIONSHIP_TYPES[edgeType] || 'related-to',
+            source_ref: sourceRef,
+            target_ref: targetRef,
+            confidence: confidence,
+            x_osint_relationship_type: edgeType,
+            x_osint_sources: Array.isArray(sourceName) ? sourceName : [sourceName]
+        };
+    }
+
+    async toBundle(investigation, graph) {
+        const sourceConfidence = new Map((investigation.sources || []).map(result => [result.sourceName, result.confidence]));
+        const idMap = new Map();
+        const objects = [this.toolIdentity];
+
+        for (const node of graph.getNodes()) {
+            const stixObject = await this.entityToStix(node, this.confidenceFor(node.sources, sourceConfidence));
+            if (stixObject) {
+                idMap.set(node.id, stixObject.id);
+                objects.push(stixObject);
+            }
+        }
+
+        graph.getEdges().forEach(edge => {
+            const sourceRef = idMap.get(edge.from);
+            const targetRef = idMap.get(edge.to);
+            if (sourceRef && targetRef) {
+                objects.push(this.relationship(
+                    sourceRef, targetRef, edge.type, edge.sources, edge.firstSeen,
+                    this.confidenceFor(edge.sources, sourceConfidence)
+                ));
+            }
+        });
+
+        objects.push(...await this.certificatesToStix(investigation, idMap, sourceConfidence));
+
+        return {
+            type: 'bundle',
+            id: `bundle--${crypto.randomUUID()}`,
+            objects: objects.map(object => JSON.parse(JSON.stringify(object)))
+        };
+    }
+
+    // Map a STIX object back onto a graph entity, or null if it has no entity equivalent
+    stixToEntity(object) {
+        switch (object.type) {
+            case 'domain-name':
+                return { id: object.value, type: object.x_osint_entity_type === 'subdomain' ? 'subdomain' : 'domain' };
+            case 'ipv4-addr':
+            case 'ipv6-addr':
+                return { id: object.value, type: object.value.includes('/') ? 'cidr' : 'ip' };
+            case 'email-addr':
+                return { id: object.value, type: 'email' };
+            case 'url':
+                return { id: object.value, type: 'url' };
+            case 'autonomous-system':
+                return Number.isInteger(object.number) ? { id: `AS${object.number}`, type: 'asn' } : null;
+            case 'file': {
+                const hash = Object.values(StixConverter.HASH_ALGORITHMS)
+                    .map(algorithm => object.hashes?.[algorithm])
+                    .find(value => value);
+                return hash ? { id: hash.toLowerCase(), type: 'hash' } : null;
+            }
+            case 'user-account': {
+                const login = object.account_login || object.user_id;
+                if (!login) return null;
+                return object.account_type
+                    ? { id: `${object.account_type}:${login}`, type: 'social_profile', pivotValue: login }
+                    : { id: login, type: 'username' };
+            }
+            case 'identity':
+                if (object.identity_class === 'organization') return { id: object.name, type: 'organization' };
+                return object.identity_class === 'individual' && object.name ? { id: object.name, type: 'person' } : null;
+            default:
+                return null;
+        }
+    }
+
+    // Rebuild graph entities and relationships from a bundle into the given graph
+    importBundle(bundle, graph) {
+        if (!bundle || bundle.type !== 'bundle' || !Array.isArray(bundle.objects)) {
+            throw new Error('Not a STIX 2.1 bundle');
+        }
+
+        const entityIds = new Map();
+        const stats = { entities: 0, relationships: 0, skipped: 0 };
+        const importedAt = new Date().toISOString();
+
+        bundle.objects.forEach(object => {
+            if (object.type === 'relationship' || object.type === 'bundle') return;
+            const entity = this.stixToEntity(object);
+            if (!entity) {
+                if (object.id !== this.toolIdentity.id) stats.skipped++;
+                return;
+            }
+
+            const sources = object.x_osint_sources || ['STIX import'];
+            graph.addEntity(entity.id, entity.type, {
+                source: sources[0],
+                pivotValue: entity.pivotValue,
+                timestamp: object.x_osint_first_seen || object.created || importedAt,
+                searched: object.x_osint_searched === true
+            });
+            sources.slice(1).forEach(source => graph.addEntity(entity.id, entity.type, { source: source }));
+
+            entityIds.set(object.id, entity.id);
+            stats.entities++;
+        });
+
+        bundle.objects.filter(object => object.type === 'relationship').forEach(object => {
+            const from = entityIds.get(object.source_ref);
+            const to = entityIds.get(object.target_ref);
+            if (!from || !to) {
+                stats.skipped++;
+                return;
+            }
+
+            // Only known graph relationship types are taken from the bundle
+            const types = Object.keys(StixConverter.RELATIONSHIP_TYPES);
+            const edgeType = types.find(key => key === object.x_osint_relationship_type) ||
+                types.find(key => StixConverter.RELATIONSHIP_TYPES[key] === object.relationship_type) ||
+                'related-to';
+            const sources = object.x_osint_sources || ['STIX import'];
+            sources.forEach(source => graph.addRelationship(from, to, edgeType, source, object.created || importedAt));
+            stats.relationships++;
+        });
+
+        return stats;
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.StixConverter = StixConverter;
+}
\ No newline at end of file
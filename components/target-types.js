@@ -0,0 +1,398 @@
+// Target Types - detection, validation and parsing for URL, phone, ASN, hash and wallet targets
+class TargetTypes {
+    // ITU-T E.164 country calling codes; prefixLength is the number of leading
+    // national digits that identify the area or mobile carrier range
+    static get CALLING_CODES() {
+        return [
+            { code: '1', iso: 'US/CA', country: 'North America (NANP)', prefixLength: 3 },
+            { code: '7', iso: 'RU/KZ', country: 'Russia / Kazakhstan', prefixLength: 3 },
+            { code: '20', iso: 'EG', country: 'Egypt', prefixLength: 2 },
+            { code: '27', iso: 'ZA', country: 'South Africa', prefixLength: 2 },
+            { code: '30', iso: 'GR', country: 'Greece', prefixLength: 3 },
+            { code: '31', iso: 'NL', country: 'Netherlands', prefixLength: 2 },
+            { code: '32', iso: 'BE', country: 'Belgium', prefixLength: 3 },
+            { code: '33', iso: 'FR', country: 'France', prefixLength: 1 },
+            { code: '34', iso: 'ES', country: 'Spain', prefixLength: 3 },
+            { code: '36', iso: 'HU', country: 'Hungary', prefixLength: 2 },
+            { code: '39', iso: 'IT', country: 'Italy', prefixLength: 3 },
+            { code: '40', iso: 'RO', country: 'Romania', prefixLength: 3 },
+            { code: '41', iso: 'CH', country: 'Switzerland', prefixLength: 2 },
+            { code: '43', iso: 'AT', country: 'Austria', prefixLength: 3 },
+            { code: '44', iso: 'GB', country: 'United Kingdom', prefixLength: 4 },
+            { code: '45', iso: 'DK', country: 'Denmark', prefixLength: 2 },
+            { code: '46', iso: 'SE', country: 'Sweden', prefixLength: 2 },
+            { code: '47', iso: 'NO', country: 'Norway', prefixLength: 2 },
+            { code: '48', iso: 'PL', country: 'Poland', prefixLength: 3 },
+            { code: '49', iso: 'DE', country: 'Germany', prefixLength: 3 },
+            { code: '51', iso: 'PE', country: 'Peru', prefixLength: 2 },
+            { code: '52', iso: 'MX', country: 'Mexico', prefixLength: 3 },
+            { code: '54', iso: 'AR', country: 'Argentina', prefixLength: 3 },
+            { code: '55', iso: 'BR', country: 'Brazil', prefixLength: 2 },
+            { code: '56', iso: 'CL', country: 'Chile', prefixLength: 1 },
+            { code: '57', iso: 'CO', country: 'Colombia', prefixLength: 3 },
+            { code: '60', iso: 'MY', country: 'Malaysia', prefixLength: 2 },
+            { code: '61', iso: 'AU', country: 'Australia', prefixLength: 3 },
+            { code: '62', iso: 'ID', country: 'Indonesia', prefixLength: 3 },
+            { code: '63', iso: 'PH', country: 'Philippines', prefixLength: 3 },
+            { code: '64', iso: 'NZ', country: 'New Zealand', prefixLength: 2 },
+            { code: '65', iso: 'SG', country: 'Singapore', prefixLength: 1 },
+            { code: '66', iso: 'TH', country: 'Thailand', prefixLength: 2 },
+            { code: '81', iso: 'JP', country: 'Japan', prefixLength: 2 },
+            { code: '82', iso: 'KR', country: 'South Korea', prefixLength: 2 },
+            { code: '84', iso: 'VN', country: 'Vietnam', prefixLength: 2 },
+            { code: '86', iso: 'CN', country: 'China', prefixLength: 3 },
+            { code: '90', iso: 'TR', country: 'Turkey', prefixLength: 3 },
+            { code: '91', iso: 'IN', country: 'India', prefixLength: 4 },
+            { code: '92', iso: 'PK', country: 'Pakistan', prefixLength: 3 },
+            { code: '98', iso: 'IR', country: 'Iran', prefixLength: 3 },
+            { code: '212', iso: 'MA', country: 'Morocco', prefixLength: 2 },
+            { code: '234', iso: 'NG', country: 'Nigeria', prefixLength: 3 },
+            { code: '254', iso: 'KE', country: 'Kenya', prefixLength: 3 },
+            { code: '351', iso: 'PT', country: 'Portugal', prefixLength: 2 },
+            { code: '352', iso: 'LU', country: 'Luxembourg', prefixLength: 3 },
+            { code: '353', iso: 'IE', country: 'Ireland', prefixLength: 2 },
+            { code: '358', iso: 'FI', country: 'Finland', prefixLength: 2 },
+            { code: '380', iso: 'UA', country: 'Ukraine', prefixLength: 2 },
+            { code: '420', iso: 'CZ', country: 'Czech Republic', prefixLength: 3 },
+            { code: '852', iso: 'HK', country: 'Hong Kong', prefixLength: 1 },
+            { code: '886', iso: 'TW', country: 'Taiwan', prefixLength: 3 },
+            { code: '961', iso: 'LB', country: 'Lebanon', prefixLength: 2 },
+            { code: '966', iso: 'SA', country: 'Saudi Arabia', prefixLength: 2 },
+            { code: '971', iso: 'AE', country: 'United Arab Emirates', prefixLength: 2 },
+            { code: '972', iso: 'IL', country: 'Israel', prefixLength: 2 }
+        ];
+    }
+
+    // Special-purpose AS numbers (RFC 6996, RFC 5398, RFC 7300, RFC 6793)
+    static get RESERVED_ASNS() {
+        return [
+            { from: 0, to: 0, label: 'Reserved' },
+            { from: 23456, to: 23456, label: 'AS_TRANS' },
+            { from: 64496, to: 64511, label: 'Documentation' },
+            { from: 64512, to: 65534, label: 'Private use' },
+            { from: 65535, to: 65535, label: 'Reserved' },
+            { from: 65536, to: 65551, label: 'Documentation' },
+            { from: 4200000000, to: 4294967294, label: 'Private use' },
+            { from: 4294967295, to: 4294967295, label: 'Reserved' }
+        ];
+    }
+
+    static get HASH_TYPES() {
+        return { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+    }
+
+    // Search type for one of the types handled here, or null
+    static detect(input) {
+        const value = String(input).trim();
+
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && TargetTypes.parseURL(value)) return 'url';
+        if (/^(\+|00)[\d\s().-]+$/.test(value) && TargetTypes.parsePhone(value)) return 'phone';
+        if (/^AS\s?\d+$/i.test(value) && TargetTypes.parseASN(value)) return 'asn';
+        if (TargetTypes.parseHash(value)) return 'hash';
+        if (TargetTypes.parseWallet(value)) return 'wallet';
+
+        return null;
+    }
+
+    // Canonical form of a target, or an error when it is not valid for its type
+    static normalize(input, searchType) {
+        const parsers = {
+            url: [TargetTypes.parseURL, parsed => parsed.href, 'URL'],
+            phone: [TargetTypes.parsePhone, parsed => parsed.e164, 'E.164 phone number'],
+            asn: [TargetTypes.parseASN, parsed => parsed.asn, 'AS number'],
+            hash: [TargetTypes.parseHash, parsed => parsed.value, 'MD5, SHA1 or SHA256 hash'],
+            wallet: [TargetTypes.parseWallet, parsed => parsed.address, 'Bitcoin or Ethereum address']
+        };
+
+        const entry = parsers[searchType];
+        if (!entry) return { query: input };
+
+        const [parse, canonical, label] = entry;
+        const parsed = parse(input);
+        return parsed ? { query: canonical(parsed) } : { query: input, error: `Invalid ${label}: ${input}` };
+    }
+
+    static parseURL(input) {
+        let url;
+        try {
+            url = new URL(String(input).trim());
+        } catch (error) {
+            return null;
+        }
+
+        if (!['http:', 'https:', 'ftp:'].includes(url.protocol) || !url.hostname) {
+            return null;
+        }
+
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        const query = {};
+        url.searchParams.forEach((value, key) => {
+            (query[key] = query[key] || []).push(value);
+        });
+
+        return {
+            href: url.href,
+            protocol: url.protocol.replace(':', ''),
+            host: host,
+            hostType: typeof IpUtils !== 'undefined' && IpUtils.isIP(host) ? 'ip' : 'domain',
+            port: url.port || null,
+            path: url.pathname,
+            query: query,
+            fragment: url.hash ? url.hash.slice(1) : null,
+            hasCredentials: Boolean(url.username || url.password)
+        };
+    }
+
+    static parsePhone(input) {
+        const compact = String(input).trim().replace(/[\s().-]/g, '').replace(/^00/, '+');
+        const match = compact.match(/^\+([1-9]\d{6,14})$/);
+        if (!match) return null;
+
+        const digits = match[1];
+        const calling = TargetTypes.CALLING_CODES
+            .filter(entry => digits.startsWith(entry.code))
+            .sort((a, b) => b.code.length - a.code.length)[0] || null;
+
+        const codeLength = calling ? calling.code.length : null;
+        const national = calling ? digits.slice(codeLength) : null;
+
+        return {
+            e164: `+${digits}`,
+            countryCode: calling ? calling.code : null,
+            country: calling ? calling.country : 'Unknown calling code',
+            iso: calling ? calling.iso : null,
+            nationalNumber: national,
+            carrierPrefix: calling && national ? national.slice(0, calling.prefixLength) : null
+        };
+    }
+
+    static parseASN(input) {
+        const match = String(input).trim().match(/^(?:AS\s?)?(\d{1,10})$/i);
+        if (!match) return null;
+
+        const number = Number(match[1]);
+        if (number > 4294967295) return null;
+
+        const reserved = TargetTypes.RESERVED_ASNS.find(range => number >= range.from && number <= range.to) || null;
+
+        return {
+            asn: `AS${number}`,
+            number: number,
+            format: number > 65535 ? '32-bit' : '16-bit',
+            reserved: reserved ? reserved.label : null
+        };
+    }
+
+    static parseHash(input) {
+        const value = String(input).trim().toLowerCase();
+        if (!/^[0-9a-f]+$/.test(value)) return null;
+
+        const algorithm = TargetTypes.HASH_TYPES[value.length];
+        return algorithm ? { value: value, algorithm: algorithm } : null;
+    }
+
+    static parseWallet(input) {
+        const value = String(input).trim();
+
+        if (/^0x[0-9a-fA-F]{40}$/.test(value)) {
+            const mixedCase = /[a-f]/.test(value.slice(2)) && /[A-F]/.test(value.slice(2));
+            return {
+                address: value,
+                chain: 'ethereum',
+                format: 'hex',
+                checksum: mixedCase ? 'EIP-55 mixed case (not verified)' : 'none'
+            };
+        }
+
+        if (/^(bc1|BC1)/.test(value)) {
+            const segwit = TargetTypes.decodeSegwit(value);
+            return segwit ? {
+                address: value.toLowerCase(),
+                chain: 'bitcoin',
+                format: segwit.version === 0 ? 'bech32 (SegWit v0)' : `bech32m (SegWit v${segwit.version})`,
+                checksum: 'valid'
+            } : null;
+        }
+
+        if (/^[13][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(value)) {
+            const version = TargetTypes.verifyBase58Check(value);
+            if (version === 0x00 || version === 0x05) {
+                return {
+                    address: value,
+                    chain: 'bitcoin',
+                    format: version === 0x00 ? 'base58 (P2PKH)' : 'base58 (P2SH)',
+                    checksum: 'valid'
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // Version byte of a valid Base58Check payload, otherwise null
+    static verifyBase58Check(value) {
+        const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+        let number = 0n;
+        for (const char of value) {
+            const index = alphabet.indexOf(char);
+            if (index === -1) return null;
+            number = number * 58n + BigInt(index);
+        }
+
+        const bytes = [];
+        while (number > 0n) {
+            bytes.unshift(Number(number & 0xffn));
+            number >>= 8n;
+        }
+        for (const char of value) {
+            if (char !== '1') break;
+            bytes.unshift(0);
+        }
+        if (bytes.length !== 25) return null;
+
+        const payload = bytes.slice(0, 21);
+        const checksum = TargetTypes.sha256(TargetTypes.sha256(payload)).slice(0, 4);
+        return checksum.every((byte, i) => byte === bytes[21 + i]) ? payload[0] : null;
+    }
+
+    // BIP-173 / BIP-350 SegWit address decoding (mainnet), or null
+    static decodeSegwit(value) {
+        if (value !== value.toLowerCase() && value !== value.toUpperCase()) return null;
+
+        const address = value.toLowerCase();
+        const charset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+        const separator = address.lastIndexOf('1');
+        if (address.length > 90 || separator !== 2 || address.slice(0, 2) !== 'bc') return null;
+
+        const data = [];
+        for (const char of address.slice(separator + 1)) {
+            const index = charset.indexOf(char);
+            if (index === -1) return null;
+            data.push(index);
+        }
+        if (data.length < 7) return null;
+
+        const polymod = (values) => {
+            const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+            let checksum = 1;
+            values.forEach(v => {
+                const top = checksum >>> 25;
+                checksum = ((checksum & 0x1ffffff) << 5) ^ v;
+                generator.forEach((g, i) => {
+                    if ((top >>> i) & 1) checksum ^= g;
+                });
+            });
+            return checksum >>> 0;
+        };
+
+        const expandedHrp = [...'bc'].map(c => c.charCodeAt(0) >> 5).concat([0], [...'bc'].map(c => c.charCodeAt(0) & 31));
+        const constant = polymod([...expandedHrp, ...data]);
+        const version = data[0];
+
+        if (version > 16) return null;
+        if ((version === 0 && constant !== 1) || (version > 0 && constant !== 0x2bc830a3)) return null;
+
+        // Regroup the 5-bit program words into bytes
+        let accumulator = 0;
+        let bits = 0;
+        const program = [];
+        for (const word of data.slice(1, -6)) {
+            accumulator = (accumulator << 5) | word;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                program.push((accumulator >> bits) & 0xff);
+            }
+        }
+        if (bits >= 5 || (accumulator & ((1 << bits) - 1)) !== 0) return null;
+        if (program.length < 2 || program.length > 40) return null;
+        if (version === 0 && program.length !== 20 && program.length !== 32) return null;
+
+        return { version: version, program: program };
+    }
+
+    // Synchronous SHA-256 over a byte array (used for Base58Check validation)
+    static sha256(bytes) {
+        const k = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        const length = bytes.length;
+        const padded = [...bytes, 0x80];
+        while (padded.length % 64 !== 56) padded.push(0);
+        const bitLength = length * 8;
+        for (let i = 7; i >= 0; i--) {
+            padded.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+        }
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            const w = new Array(64);
+            for (let i = 0; i < 16; i++) {
+                w[i] = (padded[offset + i * 4] << 24) | (padded[offset + i * 4 + 1] << 16) |
+                    (padded[offset + i * 4 + 2] << 8) | padded[offset + i * 4 + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (hh + s1 + ch + k[i] + w[i]) | 0;
+                const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (s0 + maj) | 0;
+                hh = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, hh].forEach((value, i) => { h[i] = (h[i] + value) | 0; });
+        }
+
+        return h.flatMap(word => [(word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff]);
+    }
+
+    // Structured breakdown of a target, used by the target analysis collector
+    static analyze(query, searchType) {
+        switch (searchType) {
+            case 'url': {
+                const url = TargetTypes.parseURL(query);
+                return url ? { found: true, url: url.href, ...url } : null;
+            }
+            case 'phone': {
+                const phone = TargetTypes.parsePhone(query);
+                return phone ? { found: true, phone: phone.e164, ...phone } : null;
+            }
+            case 'asn': {
+                const asn = TargetTypes.parseASN(query);
+                return asn ? { found: true, ...asn } : null;
+            }
+            case 'hash': {
+                const hash = TargetTypes.parseHash(query);
+                return hash ? { found: true, hash: hash.value, algorithm: hash.algorithm } : null;
+            }
+            case 'wallet': {
+                const wallet = TargetTypes.parseWallet(query);
+                return wallet ? { found: true, ...wallet } : null;
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TargetTypes = TargetTypes;
+}
\ No newline at end of file
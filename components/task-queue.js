@@ -0,0 +1,72 @@
+// Task Queue - bounded concurrency with staggered starts
+class TaskQueue {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.interval = Math.max(0, options.interval || 0);
+        this.pending = [];
+        this.active = 0;
+        this.lastStart = 0;
+        this.idleWaiters = [];
+    }
+
+    get size() {
+        return this.pending.length;
+    }
+
+    // Queue a task (a function returning a promise); resolves with its result
+    push(task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        if (this.active >= this.concurrency || this.pending.length === 0) {
+            if (this.active === 0 && this.pending.length === 0) {
+                this.idleWaiters.splice(0).forEach(resolve => resolve());
+            }
+            return;
+        }
+
+        const entry = this.pending.shift();
+        this.active++;
+
+        const wait = Math.max(0, this.lastStart + this.interval - Date.now());
+        this.lastStart = Date.now() + wait;
+
+        new Promise(resolve => setTimeout(resolve, wait))
+            .then(() => entry.task())
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                this.active--;
+                this.next();
+            });
+
+        this.next();
+    }
+
+    // Drop every task that has not started yet
+    clear() {
+        const dropped = this.pending.splice(0);
+        dropped.forEach(entry => {
+            const error = new Error('Task cancelled');
+            error.cancelled = true;
+            entry.reject(error);
+        });
+        this.next();
+        return dropped.length;
+    }
+
+    onIdle() {
+        if (this.active === 0 && this.pending.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+}
+
+// Export for use in the aggregator
+if (typeof window !== 'undefined') {
+    window.TaskQueue = TaskQueue;
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Username Permutations - ranked username variants from a username or a real name
+class UsernamePermutations {
+    static get SEPARATORS() {
+        return ['', '.', '_', '-'];
+    }
+
+    static get LEET() {
+        return { a: '4', e: '3', i: '1', o: '0', s: '5', t: '7' };
+    }
+
+    static get DIGIT_SUFFIXES() {
+        return ['1', '01', '12', '123', '7', '99'];
+    }
+
+    // Common platform username limits: X 15, Reddit 20, Instagram 30
+    static get LENGTH_LIMITS() {
+        return [15, 20, 30];
+    }
+
+    // Collectors a variant batch runs through, and how many top variants start selected
+    static get COLLECTORS() {
+        return ['social_presence', 'search_intelligence'];
+    }
+
+    static get DEFAULT_SELECTED() {
+        return 20;
+    }
+
+    // Base score per rule; variants are ranked by score, then by length
+    static get RULE_SCORES() {
+        return {
+            original: 100,
+            separator: 90,
+            name: 85,
+            initials: 80,
+            strip_digits: 70,
+            year: 60,
+            digits: 50,
+            truncate: 45,
+            leet: 40
+        };
+    }
+
+    // Words and number groups of "John Smith", "john.smith", "JohnSmith" or "jsmith87"
+    static tokenize(input) {
+        return String(input).trim()
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/([A-Za-z])(\d)/g, '$1 $2')
+            .replace(/(\d)([A-Za-z])/g, '$1 $2')
+            .split(/[\s._-]+/)
+            .map(token => token.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, ''))
+            .filter(Boolean);
+    }
+
+    static leet(value, letters = Object.keys(UsernamePermutations.LEET)) {
+        return value.split('').map(char => letters.includes(char) ? UsernamePermutations.LEET[char] : char).join('');
+    }
+
+    // options: { years: [1987, ...], limit, lengthLimits }
+    // Returns [{ value, rule, detail, score }] best first
+    static generate(input, options = {}) {
+        const { limit = 100, lengthLimits = UsernamePermutations.LENGTH_LIMITS } = options;
+        const original = String(input || '').trim();
+        const isName = /\s/.test(original);
+        const tokens = UsernamePermutations.tokenize(original);
+        const words = tokens.filter(token => !/^\d+$/.test(token));
+        const numbers = tokens.filter(token => /^\d+$/.test(token));
+        const variants = new Map();
+
+        const add = (value, rule, detail) => {
+            if (!/^[A-Za-z0-9](?:[A-Za-z0-9]|[._-](?=[A-Za-z0-9]))+$/.test(value)) return;
+            const key = value.toLowerCase();
+            const score = UsernamePermutations.RULE_SCORES[rule];
+            const existing = variants.get(key);
+            if (!existing || existing.score < score) {
+                variants.set(key, { value: value, rule: rule, detail: detail, score: score });
+            }
+        };
+        const sepLabel = (separator) => separator ? `"${separator}"` : 'no separator';
+
+        if (!isName) add(original, 'original', 'As entered');
+        if (words.length === 0) {
+            return Array.from(variants.values());
+        }
+
+        // Forms built from the name parts, without any digits
+        const cores = [];
+        const first = words[0];
+        const last = words[words.length - 1];
+        UsernamePermutations.SEPARATORS.forEach(separator => {
+            const joined = words.join(separator);
+            add(joined, isName ? 'name' : 'separator', `Parts joined with ${sepLabel(separator)}`);
+            cores.push(joined);
+
+            if (words.length >= 2) {
+                add(`${first[0]}${separator}${last}`, 'initials', `First initial + last name, ${sepLabel(separator)}`);
+                add(`${first}${separator}${last[0]}`, 'initials', `First name + last initial, ${sepLabel(separator)}`);
+                add(`${last}${separator}${first}`, 'name', `Last name first, ${sepLabel(separator)}`);
+                if (separator === '') {
+                    cores.push(`${first[0]}${last}`, `${last}${first}`);
+                }
+            }
+            if (words.length > 2) {
+                add(`${first}${separator}${last}`, 'name', `First + last name, ${sepLabel(separator)}`);
+            }
+        });
+
+        // Numbers in the input: keep them with each separator, or drop them
+        if (numbers.length > 0) {
+            const digits = numbers.join('');
+            UsernamePermutations.SEPARATORS.forEach(separator => {
+                add(`${words.join('')}${separator}${digits}`, 'separator', `Digits kept after ${sepLabel(separator)}`);
+            });
+            add(words.join(''), 'strip_digits', 'Digits removed');
+        }
+
+        // Years (from the input or given) and common digit suffixes on the main forms
+        const years = Array.from(new Set([
+            ...(options.years || []).map(String),
+            ...numbers.filter(number => /^(19|20)\d\d$/.test(number))
+        ].filter(year => /^\d{4}$/.test(year))));
+        const suffixCores = Array.from(new Set(cores)).slice(0, 4);
+        suffixCores.forEach(core => {
+            years.forEach(year => {
+                add(`${core}${year}`, 'year', `Year ${year} appended`);
+                add(`${core}${year.slice(2)}`, 'year', `Year ${year} appended as two digits`);
+            });
+            UsernamePermutations.DIGIT_SUFFIXES.forEach(suffix => add(`${core}${suffix}`, 'digits', `"${suffix}" appended`));
+        });
+
+        // Leetspeak on the joined name
+        const base = words.join('');
+        add(UsernamePermutations.leet(base, ['o', 'e']), 'leet', 'o→0, e→3');
+        add(UsernamePermutations.leet(base), 'leet', 'Full leetspeak');
+
+        // Truncations of the strongest forms that fit common length limits
+        Array.from(variants.values())
+            .filter(variant => variant.score >= UsernamePermutations.RULE_SCORES.initials)
+            .forEach(variant => {
+                lengthLimits.forEach(max => {
+                    if (variant.value.length > max) {
+                        add(variant.value.slice(0, max).replace(/[._-]+$/, ''), 'truncate', `"${variant.value}" cut to ${max} characters`);
+                    }
+                });
+            });
+
+        return Array.from(variants.values())
+            .sort((a, b) => b.score - a.score || a.value.length - b.value.length || a.value.localeCompare(b.value))
+            .slice(0, limit);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.UsernamePermutations = UsernamePermutations;
+}
@@ -4,6 +4,18 @@ class OSINTAggregator {
         this.currentQuery = '';
         this.currentResults = {};
         this.sourceManager = null;
+        this.graph = new EntityGraph();
+        this.networkRenderer = null;
+        this.caseStore = null;
+        this.monitorStore = null;
+        this.monitorScheduler = null;
+        this.selectedMonitorId = null;
+        this.activeCaseId = null;
+        this.searchInProgress = false;
+        this.bulkSearch = null;
+        this.variants = [];
+        this.variantSearch = null;
+        this.exportManager = new ExportManager();
         this.init();
     }
 
@@ -11,188 +23,1491 @@ class OSINTAggregator {
         this.bindEvents();
         this.setupTabs();
         
+        // Shared IndexedDB database for cases, monitors, breach data and the result cache
+        const database = new LocalDatabase();
+
         // Initialize source manager
         try {
-            this.sourceManager = new SourceManager();
+            this.sourceManager = new SourceManager({ database });
             const initialized = await this.sourceManager.initialize();
             
             if (initialized) {
                 this.displaySourceStats();
+                this.renderCollectionSettings();
                 console.log('Real OSINT Data Aggregator initialized with intelligence sources');
             } else {
                 console.warn('OSINT Data Aggregator initialized without sources');
             }
-        } catch (error) {
-            console.error('Failed to initialize source manager:', error);
-            console.log('OSINT Data Aggregator initialized without sources');
+        } catch (error) {
+            console.error('Failed to initialize source manager:', error);
+            console.log('OSINT Data Aggregator initialized without sources');
+        }
+
+        // Initialize persisted investigation cases
+        try {
+            this.caseStore = new CaseStore(database);
+            await this.caseStore.initialize();
+            await this.refreshCaseList();
+        } catch (error) {
+            console.warn('Investigation cases unavailable, results will not persist:', error);
+            this.caseStore = null;
+            this.setCaseStatus('Case storage unavailable');
+        }
+
+        // Initialize the local breach corpus that breach lookups search
+        try {
+            this.breachStore = new BreachStore(database);
+            await this.breachStore.initialize();
+            if (this.sourceManager && this.sourceManager.collector) {
+                this.sourceManager.collector.setBreachStore(this.breachStore);
+            }
+            await this.renderBreachSettings();
+        } catch (error) {
+            console.warn('Breach corpus unavailable:', error);
+            this.breachStore = null;
+            document.getElementById('breachStatus').textContent = 'Breach data storage unavailable';
+        }
+
+        // Initialize monitoring of watched targets
+        try {
+            this.monitorStore = new MonitorStore(database);
+            await this.monitorStore.initialize();
+            this.monitorScheduler = new MonitorScheduler({
+                store: this.monitorStore,
+                collect: (monitor) => this.collectForMonitor(monitor),
+                onUpdate: () => this.refreshMonitors()
+            });
+            if (this.sourceManager && this.sourceManager.initialized) {
+                this.monitorScheduler.start();
+            }
+            await this.refreshMonitors();
+        } catch (error) {
+            console.warn('Monitoring unavailable:', error);
+            this.monitorStore = null;
+            document.getElementById('monitorStatus').textContent = 'Monitoring unavailable';
+        }
+    }
+
+    bindEvents() {
+        // Search functionality
+        const searchBtn = document.getElementById('searchBtn');
+        const searchInput = document.getElementById('searchInput');
+
+        searchBtn.addEventListener('click', () => this.performSearch());
+        
+        searchInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.performSearch();
+            }
+        });
+
+        // Auto-detect search type
+        searchInput.addEventListener('input', () => {
+            this.autoDetectSearchType();
+        });
+
+        // Bulk search over a pasted or uploaded target list
+        document.getElementById('bulkSearchBtn').addEventListener('click', () => this.runBulkSearch());
+        document.getElementById('bulkCancelBtn').addEventListener('click', () => this.cancelBulkSearch());
+        document.getElementById('bulkFile').addEventListener('change', (e) => this.loadBulkFile(e.target));
+        document.getElementById('bulkExportBtn').addEventListener('click', () => this.exportBulkResults());
+        ['bulkFilter', 'bulkTypeFilter', 'bulkStatusFilter'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.filterBulkResults());
+        });
+
+        // Username variants: generate ranked permutations and search them as one identity
+        document.getElementById('variantGenerateBtn').addEventListener('click', () => this.generateVariants());
+        document.getElementById('variantSearchBtn').addEventListener('click', () => this.runVariantSearch());
+        document.getElementById('variantCancelBtn').addEventListener('click', () => {
+            if (this.variantSearch) this.variantSearch.cancel();
+        });
+        document.getElementById('variantTableBody').addEventListener('change', (e) => {
+            const index = e.target.getAttribute('data-variant-index');
+            if (index !== null) this.variants[Number(index)].selected = e.target.checked;
+        });
+
+        // Monitoring: watched targets, history and change feed
+        document.getElementById('addMonitorBtn').addEventListener('click', () => this.addMonitor());
+        document.getElementById('monitorList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-monitor-action]');
+            if (button) {
+                this.handleMonitorAction(button.getAttribute('data-monitor-action'), button.getAttribute('data-monitor-id'));
+            }
+        });
+
+        // Collection settings: endpoints, DNS resolver, username platforms and HTTP record/replay
+        document.getElementById('saveEndpointsBtn').addEventListener('click', () => this.saveEndpointSettings());
+        document.getElementById('resetEndpointsBtn').addEventListener('click', () => {
+            this.sourceManager.resetEndpoints();
+            this.renderCollectionSettings();
+        });
+        document.getElementById('dnsResolver').addEventListener('change', (e) => {
+            this.sourceManager.setDnsResolver(e.target.value, document.getElementById('compareResolvers').checked);
+        });
+        document.getElementById('compareResolvers').addEventListener('change', (e) => {
+            this.sourceManager.setDnsResolver(document.getElementById('dnsResolver').value, e.target.checked);
+        });
+        document.getElementById('platformCategories').addEventListener('change', () => {
+            const categories = Array.from(document.querySelectorAll('[data-platform-category]:checked'))
+                .map(input => input.getAttribute('data-platform-category'));
+            this.sourceManager.setPlatformCategories(categories);
+            this.renderCollectionSettings();
+        });
+        document.getElementById('platformCatalogFile').addEventListener('change', (e) => this.importPlatformCatalog(e.target));
+        document.getElementById('exportPlatformCatalogBtn').addEventListener('click', () => {
+            const catalog = this.sourceManager.collector.platformCatalog;
+            this.downloadFile('wmn-data.json', JSON.stringify(catalog.data, null, 2), 'application/json');
+        });
+        document.getElementById('resetPlatformCatalogBtn').addEventListener('click', async () => {
+            await this.sourceManager.resetPlatformCatalog();
+            this.renderCollectionSettings();
+        });
+        document.getElementById('httpMode').addEventListener('change', (e) => {
+            this.sourceManager.setHttpMode(e.target.value);
+            this.renderCollectionSettings();
+        });
+        document.getElementById('downloadFixturesBtn').addEventListener('click', () => {
+            const bundle = this.sourceManager.http.exportBundle();
+            this.downloadFile(`osint-fixtures-${Date.now()}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+        });
+        document.getElementById('fixtureFile').addEventListener('change', (e) => this.loadFixtureBundle(e.target));
+        document.getElementById('clearFixturesBtn').addEventListener('click', () => {
+            this.sourceManager.http.clear();
+            this.renderCollectionSettings();
+        });
+
+        // Result cache inspector: refreshed whenever the settings panel opens
+        document.getElementById('settingsPanel').addEventListener('toggle', (e) => {
+            if (e.target.open) this.renderCacheSettings();
+        });
+        document.getElementById('cacheTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-cache-action]');
+            if (button) {
+                this.handleCacheAction(button.getAttribute('data-cache-action'), button.getAttribute('data-cache-key'));
+            }
+        });
+        document.getElementById('purgeExpiredCacheBtn').addEventListener('click', async () => {
+            if (!this.sourceManager) return;
+            const purged = await this.sourceManager.cache.purgeExpired();
+            console.log(`Purged ${purged} expired cache entries`);
+            await this.renderCacheSettings();
+        });
+        document.getElementById('clearCacheBtn').addEventListener('click', async () => {
+            if (this.sourceManager && confirm('Clear every cached result?')) {
+                await this.sourceManager.cache.clear();
+                await this.renderCacheSettings();
+            }
+        });
+
+        // Breach data: licensed breach exports imported into the local breach corpus
+        document.getElementById('breachFile').addEventListener('change', (e) => this.importBreachData(e.target));
+        document.getElementById('breachList').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-breach-remove]');
+            const name = button && button.getAttribute('data-breach-remove');
+            if (name && confirm(`Remove breach "${name}" and its accounts from the local corpus?`)) {
+                await this.breachStore.removeBreach(name);
+                await this.renderBreachSettings();
+            }
+        });
+        document.getElementById('clearBreachesBtn').addEventListener('click', async () => {
+            if (this.breachStore && confirm('Remove all imported breach data? This cannot be undone.')) {
+                await this.breachStore.clear();
+                await this.renderBreachSettings();
+            }
+        });
+
+        // Export tab
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportInvestigation(button.getAttribute('data-export')));
+        });
+        document.getElementById('stixImportFile').addEventListener('change', (e) => this.importStixBundle(e.target));
+
+        // Investigation case picker
+        document.getElementById('caseSelect').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.openCase(e.target.value);
+            } else {
+                this.newCase();
+            }
+        });
+
+        document.querySelectorAll('[data-case-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleCaseAction(button.getAttribute('data-case-action')));
+        });
+
+        // Pivot, selection and graph controls in the network view
+        document.getElementById('networkGraph').addEventListener('click', (e) => {
+            const pivot = e.target.closest('[data-pivot]');
+            const select = e.target.closest('[data-select]');
+            const action = e.target.closest('[data-graph-action]');
+
+            if (pivot) {
+                this.pivotToEntity(pivot.getAttribute('data-pivot'));
+            } else if (select && this.networkRenderer) {
+                this.networkRenderer.selectById(select.getAttribute('data-select'));
+            } else if (action && this.networkRenderer) {
+                this.handleGraphAction(action.getAttribute('data-graph-action'));
+            }
+        });
+
+        // Certificate table search and paging inside the Overview cards
+        const searchResults = document.getElementById('searchResults');
+        searchResults.addEventListener('input', (e) => {
+            if (e.target.matches('[data-cert-search]')) {
+                this.renderCertificatePage(e.target, 0);
+            }
+        });
+        searchResults.addEventListener('click', (e) => {
+            const pager = e.target.closest('[data-cert-page]');
+            if (pager && !pager.disabled) {
+                this.renderCertificatePage(pager, Number(pager.getAttribute('data-cert-page')));
+            }
+            const formatApply = e.target.closest('[data-email-format-apply]');
+            if (formatApply) {
+                this.updateEmailFormats(formatApply);
+            }
+        });
+    }
+
+    renderCertificatePage(element, page) {
+        const card = element.closest('[data-source-index]');
+        const table = element.closest('.cert-table');
+        const sourceResult = card && this.currentResults.sources[Number(card.getAttribute('data-source-index'))];
+        if (!table || !sourceResult || !sourceResult.data.certificates) return;
+
+        table.querySelector('[data-cert-page-body]').innerHTML = CertificateTable.renderPage(sourceResult.data.certificates, {
+            query: table.querySelector('[data-cert-search]').value,
+            page: page,
+            escapeHtml: (value) => this.escapeHtml(value)
+        });
+    }
+
+    // Re-infer an email format card with the pasted names and every address at
+    // the domain found elsewhere in the case (generated candidates excluded)
+    async updateEmailFormats(element) {
+        const card = element.closest('[data-source-index]');
+        const sourceResult = card && this.currentResults.sources[Number(card.getAttribute('data-source-index'))];
+        if (!sourceResult || !sourceResult.data.formats) return;
+
+        const data = sourceResult.data;
+        const caseText = JSON.stringify([
+            this.currentResults.searches.map(search => search.query),
+            this.currentResults.sources.map(result => result.data)
+        ], (key, value) => key === 'candidates' ? undefined : value);
+        const sources = new Map(data.observedAddresses.map(entry => [entry.address, entry.source]));
+        EmailFormats.extractAddresses(caseText, data.domain).forEach(address => sources.has(address) || sources.set(address, 'Case data'));
+
+        const names = EmailFormats.parseNames(card.querySelector('[data-email-format-names]').value);
+        const inference = EmailFormats.infer(Array.from(sources.keys()), { domain: data.domain, names });
+        Object.assign(data, {
+            observedAddresses: inference.observed.map(entry => ({ ...entry, source: sources.get(entry.address) })),
+            formats: inference.formats,
+            bestFormat: inference.best.id,
+            confidence: inference.confidence,
+            evidence: inference.evidence,
+            names: names,
+            candidates: EmailFormats.candidates(names, inference, { domain: data.domain, formats: data.candidateFormats })
+        });
+
+        card.querySelector('.data-content').outerHTML = this.renderIntelligenceData(sourceResult);
+        await this.saveActiveCase();
+    }
+
+    setupTabs() {
+        const tabButtons = document.querySelectorAll('.tab-btn');
+        
+        tabButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const tabName = button.getAttribute('data-tab');
+                this.switchTab(tabName);
+            });
+        });
+    }
+
+    switchTab(tabName) {
+        // Remove active class from all buttons
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+
+        // Hide all tab contents
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.add('hidden');
+        });
+
+        // Activate selected tab
+        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+        document.getElementById(`${tabName}Tab`).classList.remove('hidden');
+
+        console.log(`Switched to ${tabName} tab`);
+    }
+
+    autoDetectSearchType() {
+        const input = document.getElementById('searchInput').value.trim();
+        const searchType = document.getElementById('searchType');
+
+        searchType.value = input ? this.detectSearchType(input) : 'auto';
+    }
+
+    detectSearchType(input) {
+        // URLs, phone numbers, ASNs, hashes and wallets have unambiguous shapes,
+        // so check them first (a URL may contain "@" and ".")
+        const targetType = TargetTypes.detect(input);
+        if (targetType) {
+            return targetType;
+        }
+        // Email pattern
+        if (input.includes('@') && input.includes('.')) {
+            return 'email';
+        }
+        // CIDR block, IPv4 or IPv6
+        if (/^[0-9a-f:.]+\/\d{1,3}$/i.test(input)) {
+            return 'cidr';
+        }
+        // IP address pattern (dotted quads are validated before searching)
+        if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(input) || IpUtils.isIPv6(input)) {
+            return 'ip';
+        }
+        // Domain pattern
+        if (input.includes('.') && !input.includes('@')) {
+            return 'domain';
+        }
+        // Default to username
+        return 'username';
+    }
+
+    // Validate address targets and bring them into canonical form
+    normalizeTarget(query, searchType) {
+        if (searchType === 'ip') {
+            const address = IpUtils.normalize(query);
+            return address ? { query: address } : { query: query, error: `Invalid IP address: ${query}` };
+        }
+        if (searchType === 'cidr') {
+            const range = IpUtils.parseCIDR(query);
+            return range ? { query: range.cidr } : { query: query, error: `Invalid CIDR block: ${query}` };
+        }
+        return TargetTypes.normalize(query, searchType);
+    }
+
+    async performSearch(options = {}) {
+        let query = document.getElementById('searchInput').value.trim();
+        let searchType = document.getElementById('searchType').value;
+
+        if (!query) {
+            this.showError('Please enter a search query');
+            return;
+        }
+
+        if (searchType === 'auto') {
+            searchType = this.detectSearchType(query);
+        }
+
+        const target = this.normalizeTarget(query, searchType);
+        if (target.error) {
+            this.showError(target.error);
+            return;
+        }
+        query = target.query;
+
+        if (this.bulkSearch || this.variantSearch) {
+            this.showError('A batch search is running. Wait for it to finish or cancel it first.');
+            return;
+        }
+        if (this.searchInProgress) {
+            this.showError('A search is already running. Wait for it to finish first.');
+            return;
+        }
+
+        this.currentQuery = query;
+        
+        console.log(`Gathering real intelligence for: ${query} (type: ${searchType})`);
+        
+        // Show results section
+        document.getElementById('resultsSection').style.display = 'block';
+        
+        // Show loading state
+        this.showLoading();
+
+        // Perform real intelligence gathering
+        if (this.sourceManager && this.sourceManager.initialized) {
+            // Cases stay put until the results are recorded and saved to the case they belong to
+            this.searchInProgress = true;
+            try {
+                await this.performRealIntelligenceGathering(query, searchType, {
+                    addToCase: document.getElementById('addToCase').checked,
+                    ...options
+                });
+            } catch (error) {
+                console.error('Intelligence gathering failed:', error);
+                this.showError('Intelligence gathering failed. Please try again.');
+            } finally {
+                this.searchInProgress = false;
+            }
+        } else {
+            this.showError('Intelligence sources not available');
+        }
+    }
+
+    // Follow-up search on an entity, merged into the current investigation
+    async pivotToEntity(entityId) {
+        const node = this.graph.getNode(entityId);
+        if (!node || !node.pivotType) {
+            return;
+        }
+
+        document.getElementById('searchInput').value = node.pivotValue;
+        document.getElementById('searchType').value = node.pivotType;
+
+        this.switchTab('overview');
+        await this.performSearch({ pivotFrom: node.id });
+    }
+
+    async performRealIntelligenceGathering(query, searchType, options = {}) {
+        const availableSources = this.sourceManager.getSourcesForType(searchType);
+        
+        if (availableSources.length === 0) {
+            this.showError(`No intelligence sources available for ${searchType} searches`);
+            return;
+        }
+
+        // options: { pivotFrom, addToCase }; any other search starts a new investigation
+        const timestamp = new Date().toISOString();
+        const merge = Boolean(this.currentResults.sources) &&
+            (Boolean(options.pivotFrom) || Boolean(options.addToCase));
+
+        this.beginInvestigation(query, searchType, merge, timestamp);
+        this.addSearch(query, searchType, availableSources.length, timestamp, merge ? options.pivotFrom : null);
+
+        console.log(`Querying ${availableSources.length} intelligence sources for ${searchType}: ${query}`);
+        const bypassCache = document.getElementById('bypassCache').checked;
+
+        // Query all sources concurrently with rate limiting
+        const intelligencePromises = availableSources.map((source, index) => 
+            this.delay(index * 500).then(() => // Stagger requests
+                this.querySourceWithRetry(source.id, query, searchType, { bypassCache })
+            )
+        );
+
+        // Wait for all intelligence gathering to complete
+        const results = await Promise.allSettled(intelligencePromises);
+        
+        // Process results
+        results.forEach((result, index) => {
+            this.recordSourceResult(
+                result.status === 'fulfilled' ? result.value : null,
+                searchType,
+                availableSources[index].name,
+                result.reason
+            );
+        });
+
+        // Display intelligence results
+        this.displayIntelligenceResults();
+        this.updateTimelineResults();
+        this.updateNetworkResults();
+
+        await this.saveActiveCase();
+    }
+
+    // Start a fresh investigation, saved as a new case, unless the new search merges
+    // into the current one
+    beginInvestigation(query, searchType, merge, timestamp) {
+        if (merge) return;
+
+        this.activeCaseId = null;
+        this.currentResults = {
+            query: query,
+            searchType: searchType,
+            timestamp: timestamp,
+            searches: [],
+            sources: [],
+            summary: {
+                totalSources: 0,
+                successfulSources: 0,
+                failedSources: 0,
+                dataFound: false
+            }
+        };
+        this.graph.clear();
+    }
+
+    addSearch(query, searchType, sourceCount, timestamp, pivotFrom = null) {
+        this.currentResults.summary.totalSources += sourceCount;
+        this.currentResults.searches.push({
+            query: query,
+            searchType: searchType,
+            timestamp: timestamp,
+            pivotFrom: pivotFrom || null
+        });
+        this.graph.addSearchTarget(query, searchType, timestamp);
+        if (pivotFrom && pivotFrom !== query) {
+            this.graph.addRelationship(pivotFrom, query, 'pivot', 'Analyst pivot', timestamp);
+        }
+    }
+
+    // Fold one source lookup (or its failure) into the current investigation
+    recordSourceResult(result, searchType, sourceName, reason) {
+        if (result && result.success) {
+            this.currentResults.sources.push(result);
+            this.graph.addSourceResult(result);
+            this.currentResults.summary.successfulSources++;
+            if (result.data.found) {
+                this.currentResults.summary.dataFound = true;
+            }
+            return;
+        }
+
+        this.currentResults.summary.failedSources++;
+        const misconfigured = this.currentResults.misconfiguredSources || [];
+        if (result && result.dataType === 'misconfigured' &&
+            !misconfigured.some(issue => issue.sourceName === result.sourceName && issue.searchType === searchType)) {
+            this.currentResults.misconfiguredSources = misconfigured;
+            this.currentResults.misconfiguredSources.push({
+                sourceName: result.sourceName,
+                searchType: searchType,
+                reason: result.data.error
+            });
+        }
+        console.warn(`Intelligence source ${sourceName} failed:`, reason || result?.data?.error);
+    }
+
+    async loadBulkFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+            const targets = BulkSearch.parseTargets(await file.text(), { csv: /\.csv$/i.test(file.name) });
+            document.getElementById('bulkInput').value = targets.join('\n');
+            document.getElementById('bulkStatus').textContent = `Loaded ${targets.length} targets from ${file.name}`;
+        } catch (error) {
+            console.error('Failed to read target list:', error);
+            document.getElementById('bulkStatus').textContent = `Could not read ${file.name}`;
+        } finally {
+            input.value = '';
+        }
+    }
+
+    // Run every target of the list through one queue and combine the results
+    async runBulkSearch() {
+        const status = document.getElementById('bulkStatus');
+        const queries = BulkSearch.parseTargets(document.getElementById('bulkInput').value);
+
+        if (!this.sourceManager || !this.sourceManager.initialized) {
+            status.textContent = 'Intelligence sources not available';
+            return;
+        }
+        if (this.bulkSearch || this.variantSearch || this.searchInProgress) {
+            status.textContent = 'A search is already running';
+            return;
+        }
+        if (queries.length === 0) {
+            status.textContent = 'Paste or load at least one target';
+            return;
+        }
+
+        const settings = this.sourceManager.sources.settings || {};
+        const bypassCache = document.getElementById('bypassCache').checked;
+        const bulk = new BulkSearch({
+            concurrency: settings.maxConcurrentRequests || 3,
+            interval: settings.requestStaggering || 0,
+            getSources: (searchType) => this.sourceManager.getSourcesForType(searchType),
+            querySource: (sourceId, query, searchType) => this.querySourceWithRetry(sourceId, query, searchType, { bypassCache })
+        });
+        const targets = bulk.plan(queries, (query) => this.detectSearchType(query));
+        targets.forEach(target => {
+            const normalized = this.normalizeTarget(target.query, target.searchType);
+            target.query = normalized.query;
+            if (normalized.error) {
+                target.error = normalized.error;
+                target.sources = 0;
+            }
+        });
+        const timestamp = new Date().toISOString();
+        const merge = Boolean(this.currentResults.sources) && document.getElementById('addToCase').checked;
+
+        this.beginInvestigation(`${targets.length} bulk targets`, 'bulk', merge, timestamp);
+        const offset = this.currentResults.bulkTargets ? this.currentResults.bulkTargets.length : 0;
+        targets.forEach((target, index) => {
+            target.index = offset + index;
+            this.addSearch(target.query, target.searchType, target.sources, timestamp);
+        });
+        this.currentResults.bulkTargets = [...(this.currentResults.bulkTargets || []), ...targets];
+
+        this.bulkSearch = bulk;
+        document.getElementById('bulkCancelBtn').disabled = false;
+        document.getElementById('resultsSection').style.display = 'block';
+        this.showLoading();
+        this.renderBulkResults();
+
+        console.log(`Bulk search: ${targets.length} targets, ${settings.maxConcurrentRequests || 3} concurrent requests`);
+
+        try {
+            await bulk.run(targets, {
+                onResult: (target, result, source, error) => this.recordSourceResult(result, target.searchType, source.name, error),
+                onProgress: (target) => this.updateBulkRow(target)
+            });
+        } finally {
+            this.bulkSearch = null;
+            document.getElementById('bulkCancelBtn').disabled = true;
+        }
+
+        this.displayIntelligenceResults();
+        this.updateTimelineResults();
+        this.updateNetworkResults();
+        this.updateBulkStatus();
+
+        await this.saveActiveCase();
+    }
+
+    generateVariants() {
+        const identity = document.getElementById('variantInput').value.trim();
+        const years = document.getElementById('variantYears').value.split(/[^\d]+/).filter(year => /^\d{4}$/.test(year));
+
+        this.variantIdentity = identity;
+        this.variants = UsernamePermutations.generate(identity, { years: years })
+            .map((variant, index) => ({ ...variant, selected: index < UsernamePermutations.DEFAULT_SELECTED, status: null, profiles: [] }));
+        this.renderVariants();
+        document.getElementById('variantStatus').textContent = identity
+            ? `${this.variants.length} variants, top ${Math.min(this.variants.length, UsernamePermutations.DEFAULT_SELECTED)} selected`
+            : 'Enter a username or a real name';
+    }
+
+    renderVariants() {
+        document.getElementById('variantResults').hidden = this.variants.length === 0;
+        document.getElementById('variantTableBody').innerHTML = this.variants.map((variant, index) => `
+            <tr>
+                <td><input type="checkbox" data-variant-index="${index}" ${variant.selected ? 'checked' : ''} ${this.variantSearch ? 'disabled' : ''}></td>
+                <td>${this.escapeHtml(variant.value)}</td>
+                <td><small>${this.escapeHtml(variant.detail)}</small></td>
+                <td>${variant.score}</td>
+                <td>${variant.status === null ? '' : variant.profiles.length > 0
+                    ? variant.profiles.map(platform => this.escapeHtml(platform)).join(', ')
+                    : `<span class="bulk-status ${variant.status}">${variant.status === 'done' ? 'none' : variant.status}</span>`}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Selected variants go through the username social and search collectors as one
+    // batch; every variant is linked to the original identity in the graph
+    async runVariantSearch() {
+        const status = document.getElementById('variantStatus');
+        const identity = this.variantIdentity;
+        const selected = this.variants.filter(variant => variant.selected);
+
+        if (!this.sourceManager || !this.sourceManager.initialized) {
+            status.textContent = 'Intelligence sources not available';
+            return;
+        }
+        if (this.variantSearch || this.bulkSearch || this.searchInProgress) {
+            status.textContent = 'A search is already running';
+            return;
+        }
+        if (selected.length === 0) {
+            status.textContent = 'Select at least one variant';
+            return;
+        }
+
+        const sources = this.sourceManager.getSourcesForType('username')
+            .filter(source => UsernamePermutations.COLLECTORS.includes(source.collector));
+        const settings = this.sourceManager.sources.settings || {};
+        const bypassCache = document.getElementById('bypassCache').checked;
+        const batch = new BulkSearch({
+            concurrency: settings.maxConcurrentRequests || 3,
+            interval: settings.requestStaggering || 0,
+            getSources: () => sources,
+            querySource: (sourceId, query, searchType) => this.querySourceWithRetry(sourceId, query, searchType, { bypassCache })
+        });
+        const targets = batch.plan(selected.map(variant => variant.value), () => 'username');
+        const timestamp = new Date().toISOString();
+        const merge = Boolean(this.currentResults.sources) && document.getElementById('addToCase').checked;
+
+        this.beginInvestigation(identity, /\s/.test(identity) ? 'person' : 'username', merge, timestamp);
+        this.graph.addEntity(identity, /\s/.test(identity) ? 'person' : 'username', { searched: true, timestamp: timestamp });
+        targets.forEach((target, index) => {
+            target.variant = selected[index];
+            target.variant.status = 'queued';
+            target.variant.profiles = [];
+            this.addSearch(target.query, 'username', target.sources, timestamp);
+            if (target.query.toLowerCase() !== identity.toLowerCase()) {
+                this.graph.addRelationship(identity, target.query, 'alias', 'Username permutations', timestamp);
+            }
+        });
+
+        this.variantSearch = batch;
+        document.getElementById('variantCancelBtn').disabled = false;
+        document.getElementById('resultsSection').style.display = 'block';
+        this.showLoading();
+        this.renderVariants();
+
+        try {
+            await batch.run(targets, {
+                onResult: (target, result, source, error) => {
+                    this.recordSourceResult(result, 'username', source.name, error);
+                    (result?.data?.profiles || [])
+                        .filter(profile => profile.status === 'exists')
+                        .forEach(profile => target.variant.profiles.push(profile.platform));
+                },
+                onProgress: (target) => {
+                    target.variant.status = target.status;
+                    this.renderVariants();
+                    status.textContent = `${targets.filter(item => ['done', 'failed', 'cancelled'].includes(item.status)).length}/${targets.length} variants searched`;
+                }
+            });
+        } finally {
+            this.variantSearch = null;
+            document.getElementById('variantCancelBtn').disabled = true;
+        }
+
+        this.currentResults.identities = [
+            ...(this.currentResults.identities || []).filter(group => group.identity !== identity),
+            {
+                identity: identity,
+                variants: selected.map(variant => ({
+                    value: variant.value,
+                    rule: variant.rule,
+                    score: variant.score,
+                    profiles: variant.profiles
+                }))
+            }
+        ];
+
+        this.renderVariants();
+        this.displayIntelligenceResults();
+        this.updateTimelineResults();
+        this.updateNetworkResults();
+
+        await this.saveActiveCase();
+    }
+
+    cancelBulkSearch() {
+        if (!this.bulkSearch) return;
+
+        const dropped = this.bulkSearch.cancel();
+        document.getElementById('bulkStatus').textContent = `Cancelling, ${dropped} queued lookups dropped`;
+    }
+
+    renderBulkResults() {
+        const targets = this.currentResults.bulkTargets || [];
+        document.getElementById('bulkResults').hidden = targets.length === 0;
+        document.getElementById('bulkTableBody').innerHTML = targets.map(target => `
+            <tr data-bulk-row="${target.index}">${this.renderBulkCells(target)}</tr>
+        `).join('');
+        this.filterBulkResults();
+        this.updateBulkStatus();
+    }
+
+    renderBulkCells(target) {
+        const label = target.status === 'done' ? (target.found ? 'found' : 'no data') : target.status;
+        const statusClass = target.status === 'done' && target.found ? 'found' : target.status;
+
+        return `
+            <td>${this.escapeHtml(target.query)}${target.error ? `<br><small>${this.escapeHtml(target.error)}</small>` : ''}</td>
+            <td>${target.searchType}</td>
+            <td>${target.completed}/${target.sources}${target.completed > 0 ? ` (${target.succeeded} ok)` : ''}</td>
+            <td><span class="bulk-status ${statusClass}">${label}</span></td>
+        `;
+    }
+
+    updateBulkRow(target) {
+        const row = document.querySelector(`[data-bulk-row="${target.index}"]`);
+        if (row) {
+            row.innerHTML = this.renderBulkCells(target);
+            row.hidden = !this.matchesBulkFilter(target);
+        }
+        this.updateBulkStatus();
+    }
+
+    updateBulkStatus() {
+        const targets = this.currentResults.bulkTargets || [];
+        const count = (...statuses) => targets.filter(target => statuses.includes(target.status)).length;
+
+        document.getElementById('bulkStatus').textContent = targets.length === 0 ? '' :
+            `${count('done', 'failed', 'cancelled')}/${targets.length} targets complete, ` +
+            `${count('running')} running, ${targets.filter(target => target.found).length} with intelligence`;
+    }
+
+    matchesBulkFilter(target) {
+        const text = document.getElementById('bulkFilter').value.trim().toLowerCase();
+        const type = document.getElementById('bulkTypeFilter').value;
+        const state = document.getElementById('bulkStatusFilter').value;
+
+        if (text && !target.query.toLowerCase().includes(text)) return false;
+        if (type && target.searchType !== type) return false;
+
+        switch (state) {
+            case 'found': return target.found;
+            case 'empty': return target.status === 'done' && !target.found;
+            case 'failed': return target.status === 'failed' || target.status === 'cancelled';
+            case 'pending': return target.status === 'queued' || target.status === 'running';
+            default: return true;
+        }
+    }
+
+    filterBulkResults() {
+        (this.currentResults.bulkTargets || []).forEach(target => {
+            const row = document.querySelector(`[data-bulk-row="${target.index}"]`);
+            if (row) row.hidden = !this.matchesBulkFilter(target);
+        });
+    }
+
+    // One row per source result of every target that passes the current filter
+    exportBulkResults() {
+        const targets = (this.currentResults.bulkTargets || []).filter(target => this.matchesBulkFilter(target));
+        if (targets.length === 0) {
+            document.getElementById('bulkStatus').textContent = 'No targets match the current filter';
+            return;
+        }
+
+        const rows = [ExportManager.csvRow([
+            'target', 'target_type', 'target_status', 'source', 'found', 'confidence', 'collected_at', 'error'
+        ])];
+
+        targets.forEach(target => {
+            const results = this.currentResults.sources.filter(result => result.query === target.query);
+            if (results.length === 0) {
+                rows.push(ExportManager.csvRow([target.query, target.searchType, target.status, '', '', '', '', '']));
+            }
+            results.forEach(result => {
+                rows.push(ExportManager.csvRow([
+                    target.query, target.searchType, target.status, result.sourceName,
+                    result.data.found ? 'yes' : 'no', result.confidence, result.timestamp, result.data.error || ''
+                ]));
+            });
+        });
+
+        this.downloadFile(`${ExportManager.fileBase(this.currentResults)}-bulk.csv`, rows.join('\r\n'), 'text/csv');
+    }
+
+    // Re-run the target's collectors without the session cache
+    async collectForMonitor(monitor) {
+        const sources = this.sourceManager.getSourcesForType(monitor.searchType)
+            .filter(source => ChangeDetector.COLLECTORS.includes(source.collector));
+        const results = await Promise.allSettled(sources.map((source, index) =>
+            this.delay(index * 500).then(() =>
+                this.sourceManager.querySource(source.id, monitor.target, monitor.searchType, { bypassCache: true })
+            )
+        ));
+
+        return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    }
+
+    async addMonitor() {
+        const status = document.getElementById('monitorStatus');
+        const target = document.getElementById('searchInput').value.trim();
+        const intervalMinutes = parseInt(document.getElementById('monitorInterval').value, 10);
+        let searchType = document.getElementById('searchType').value;
+
+        if (!this.monitorStore) {
+            status.textContent = 'Monitoring unavailable';
+            return;
+        }
+        if (!target) {
+            status.textContent = 'Enter the target to monitor in the search box';
+            return;
+        }
+        if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1) {
+            status.textContent = 'Interval must be at least one minute';
+            return;
+        }
+        if (searchType === 'auto') {
+            searchType = this.detectSearchType(target);
+        }
+
+        const normalized = this.normalizeTarget(target, searchType);
+        if (normalized.error) {
+            status.textContent = normalized.error;
+            return;
+        }
+
+        const monitor = await this.monitorStore.addMonitor(normalized.query, searchType, intervalMinutes);
+        status.textContent = `Monitoring ${normalized.query} every ${intervalMinutes} min`;
+        await this.refreshMonitors();
+
+        if (this.monitorScheduler && monitor.snapshotCount === 0) {
+            await this.monitorScheduler.runNow(monitor.id);
+        }
+    }
+
+    async handleMonitorAction(action, monitorId) {
+        try {
+            switch (action) {
+                case 'run':
+                    await this.monitorScheduler.runNow(monitorId);
+                    break;
+                case 'history':
+                    this.selectedMonitorId = monitorId;
+                    await this.renderMonitorHistory();
+                    break;
+                case 'toggle': {
+                    const monitor = await this.monitorStore.getMonitor(monitorId);
+                    await this.monitorStore.updateMonitor(monitorId, {
+                        enabled: !monitor.enabled,
+                        nextRunAt: new Date().toISOString()
+                    });
+                    break;
+                }
+                case 'remove': {
+                    const monitor = await this.monitorStore.getMonitor(monitorId);
+                    if (monitor && confirm(`Stop monitoring ${monitor.target} and delete its history?`)) {
+                        await this.monitorStore.removeMonitor(monitorId);
+                        if (this.selectedMonitorId === monitorId) {
+                            this.selectedMonitorId = null;
+                        }
+                    }
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error(`Monitor ${action} failed:`, error);
+            document.getElementById('monitorStatus').textContent = `Monitor ${action} failed`;
+        }
+
+        await this.refreshMonitors();
+    }
+
+    async refreshMonitors() {
+        if (!this.monitorStore) return;
+
+        const monitors = await this.monitorStore.listMonitors();
+        const time = (value) => value ? new Date(value).toLocaleString() : '—';
+
+        document.getElementById('monitorList').innerHTML = monitors.length === 0 ? `
+            <p class="settings-status">No monitored targets. Enter a target in the search box and add it.</p>
+        ` : `
+            <table class="bulk-table">
+                <thead>
+                    <tr><th>Target</th><th>Every</th><th>Last run</th><th>Next run</th><th>Snapshots</th><th>Changes</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${monitors.map(monitor => `
+                        <tr>
+                            <td>${this.escapeHtml(monitor.target)} <small>(${monitor.searchType})</small></td>
+                            <td>${monitor.intervalMinutes} min</td>
+                            <td>${time(monitor.lastRunAt)}${monitor.lastError ? `<br><small class="bulk-status failed">${this.escapeHtml(monitor.lastError)}</small>` : ''}</td>
+                            <td>${this.monitorScheduler?.isRunning(monitor.id) ? '<span class="bulk-status running">running</span>' : (monitor.enabled ? time(monitor.nextRunAt) : 'paused')}</td>
+                            <td>${monitor.snapshotCount}</td>
+                            <td>${monitor.changeCount}</td>
+                            <td class="monitor-actions">
+                                <button class="case-btn" data-monitor-action="run" data-monitor-id="${monitor.id}">Run now</button>
+                                <button class="case-btn" data-monitor-action="history" data-monitor-id="${monitor.id}">History</button>
+                                <button class="case-btn" data-monitor-action="toggle" data-monitor-id="${monitor.id}">${monitor.enabled ? 'Pause' : 'Resume'}</button>
+                                <button class="case-btn danger" data-monitor-action="remove" data-monitor-id="${monitor.id}">Remove</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const changes = await this.monitorStore.listChanges(50);
+        document.getElementById('changeFeed').innerHTML = changes.length === 0
+            ? '<p class="settings-status">No changes detected yet.</p>'
+            : `<ul class="change-feed">${changes.map(change => this.renderChangeEvent(change, true)).join('')}</ul>`;
+
+        await this.renderMonitorHistory();
+    }
+
+    renderChangeEvent(change, withTarget = false) {
+        const label = ChangeDetector.CHANGE_LABELS[change.type] || change.type;
+        const kind = change.type === 'dns_removed' ? 'removed' : 'added';
+
+        return `
+            <li class="change-event ${kind}">
+                <small>${new Date(change.detectedAt).toLocaleString()}</small>
+                ${withTarget ? `<strong>${this.escapeHtml(change.target)}</strong>` : ''}
+                <span class="change-label">${label}${change.recordType ? ` (${change.recordType})` : ''}</span>
+                <code>${this.escapeHtml(change.value)}</code>
+                ${change.detail ? `<small>${this.escapeHtml(change.detail)}</small>` : ''}
+            </li>
+        `;
+    }
+
+    // Snapshot history of the monitor picked with its History button
+    async renderMonitorHistory() {
+        const section = document.getElementById('monitorHistory');
+        const monitor = this.selectedMonitorId ? await this.monitorStore.getMonitor(this.selectedMonitorId) : null;
+
+        if (!monitor) {
+            section.hidden = true;
+            return;
+        }
+
+        const snapshots = (await this.monitorStore.listSnapshots(monitor.id)).reverse();
+        const count = (value) => value === null ? 'not collected' : value;
+
+        section.hidden = false;
+        document.getElementById('monitorHistoryTitle').textContent = `History: ${monitor.target}`;
+        document.getElementById('snapshotList').innerHTML = snapshots.length === 0
+            ? '<p class="settings-status">No snapshots yet.</p>'
+            : snapshots.map(snapshot => `
+                <div class="snapshot">
+                    <div class="snapshot-header">
+                        <strong>${new Date(snapshot.takenAt).toLocaleString()}</strong>
+                        ${snapshot.baseline ? '<span class="stat">Baseline</span>' : `<span class="stat">${snapshot.changes.length} changes</span>`}
+                    </div>
+                    <small>
+                        Certificates: ${count(snapshot.summary.certificates)} ·
+                        Subdomains: ${count(snapshot.summary.subdomains)} ·
+                        DNS records: ${count(snapshot.summary.dnsRecords)} ·
+                        Sources: ${snapshot.sources.filter(source => source.success).length}/${snapshot.sources.length}
+                    </small>
+                    ${snapshot.changes.length > 0 ? `<ul class="change-feed">${snapshot.changes.map(change => this.renderChangeEvent(change)).join('')}</ul>` : ''}
+                </div>
+            `).join('');
+    }
+
+    renderCollectionSettings() {
+        if (!this.sourceManager || !this.sourceManager.collector) return;
+
+        const endpoints = this.sourceManager.collector.dataSources;
+        document.getElementById('endpointSettings').innerHTML = Object.entries(endpoints).map(([key, url]) => `
+            <label class="endpoint-field">
+                <span>${key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase())}</span>
+                <input type="text" class="search-input" data-endpoint="${key}" value="${this.escapeHtml(url)}">
+            </label>
+        `).join('');
+
+        const collector = this.sourceManager.collector;
+        document.getElementById('dnsResolver').innerHTML = Object.entries(OSINTCollector.DNS_RESOLVERS).map(([key, resolver]) => `
+            <option value="${key}">${this.escapeHtml(resolver.label)}</option>
+        `).join('');
+        document.getElementById('dnsResolver').value = collector.dnsResolver;
+        document.getElementById('compareResolvers').checked = collector.compareResolvers;
+
+        const catalog = collector.platformCatalog;
+        document.getElementById('platformCategories').innerHTML = catalog.categories.map(category => `
+            <label class="settings-status"><input type="checkbox" data-platform-category="${this.escapeHtml(category)}"
+                ${collector.platformCategories.includes(category) ? 'checked' : ''}> ${this.escapeHtml(category)}
+                (${catalog.sitesIn([category]).length})</label>
+        `).join('');
+        const checked = catalog.sitesIn(collector.platformCategories).length;
+        document.getElementById('platformCatalogStatus').textContent =
+            `${checked} of ${catalog.sites.length} sites checked per username${collector.platformCategories.length === 0 ? ' (all categories)' : ''} · ` +
+            (catalog.importedAt ? `imported from ${catalog.source} on ${new Date(catalog.importedAt).toLocaleString()}` : 'bundled catalog');
+
+        const http = this.sourceManager.http;
+        document.getElementById('httpMode').value = http.mode;
+        document.getElementById('fixtureStatus').textContent = `${http.size} recorded exchanges`;
+    }
+
+    saveEndpointSettings() {
+        const endpoints = {};
+        document.querySelectorAll('[data-endpoint]').forEach(input => {
+            const value = input.value.trim();
+            if (value) {
+                endpoints[input.getAttribute('data-endpoint')] = value;
+            }
+        });
+
+        this.sourceManager.updateEndpoints(endpoints);
+        this.renderCollectionSettings();
+        console.log('Collector endpoints updated:', endpoints);
+    }
+
+    async importPlatformCatalog(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+            const catalog = this.sourceManager.importPlatformCatalog(await file.text(), file.name);
+            console.log(`Imported ${catalog.sites.length} username platforms from ${file.name}`);
+        } catch (error) {
+            console.error('Failed to import platform catalog:', error);
+            this.showError(`Could not import platform catalog: ${error.message}`);
+        } finally {
+            input.value = '';
+            this.renderCollectionSettings();
+        }
+    }
+
+    async loadFixtureBundle(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+            const count = this.sourceManager.http.importBundle(JSON.parse(await file.text()));
+            console.log(`Loaded ${count} recorded HTTP exchanges from ${file.name}`);
+        } catch (error) {
+            console.error('Failed to load fixture bundle:', error);
+            this.showError(`Could not load fixture bundle: ${error.message}`);
+        } finally {
+            input.value = '';
+            this.renderCollectionSettings();
+        }
+    }
+
+    async renderCacheSettings() {
+        if (!this.sourceManager) return;
+
+        const entries = await this.sourceManager.cache.list();
+        const expired = entries.filter(entry => entry.expired).length;
+        document.getElementById('cacheStatus').textContent = entries.length === 0
+            ? 'No cached results'
+            : `${entries.length} cached results${expired > 0 ? `, ${expired} expired` : ''} · ` +
+              `default TTL ${this.sourceManager.sources?.settings?.cacheTTL ?? ResultCache.DEFAULT_TTL}s`;
+        document.getElementById('cacheTableBody').innerHTML = entries.map(entry => `
+            <tr>
+                <td>${this.escapeHtml(entry.sourceName || entry.sourceId)}</td>
+                <td>${this.escapeHtml(entry.searchType)}</td>
+                <td>${this.escapeHtml(entry.query)}</td>
+                <td>${new Date(entry.cachedAt).toLocaleString()}</td>
+                <td>${entry.expired ? '<span class="bulk-status failed">expired</span>' : new Date(entry.expiresAt).toLocaleString()}</td>
+                <td>
+                    <button class="case-btn" data-cache-action="refresh" data-cache-key="${this.escapeHtml(entry.key)}">Refresh</button>
+                    <button class="case-btn danger" data-cache-action="delete" data-cache-key="${this.escapeHtml(entry.key)}">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Refresh re-collects the entry's source for its target and replaces the cached result
+    async handleCacheAction(action, key) {
+        const cache = this.sourceManager.cache;
+        const entry = (await cache.list()).find(item => item.key === key);
+        if (!entry) return;
+
+        if (action === 'delete') {
+            await cache.delete(key);
+        } else if (action === 'refresh') {
+            try {
+                document.getElementById('cacheStatus').textContent = `Refreshing ${entry.sourceName} for ${entry.query}...`;
+                const result = await this.sourceManager.querySource(entry.sourceId, entry.query, entry.searchType, { bypassCache: true });
+                if (!result.success) {
+                    this.showError(`Could not refresh ${entry.sourceName}: ${result.data.error || 'collection failed'}; the cached result was kept`);
+                }
+            } catch (error) {
+                console.error('Cache refresh failed:', error);
+                this.showError(`Could not refresh ${entry.sourceName}: ${error.message}`);
+            }
+        }
+        await this.renderCacheSettings();
+    }
+
+    async importBreachData(input) {
+        const file = input.files[0];
+        if (!file || !this.breachStore) return;
+
+        const status = document.getElementById('breachStatus');
+        try {
+            status.textContent = `Importing ${file.name}...`;
+            const imported = await this.breachStore.importFile(await file.text(), file.name, {
+                breach: document.getElementById('breachImportName').value.trim(),
+                account: document.getElementById('breachImportAccount').value.trim()
+            });
+            console.log(`Imported ${imported.records} breach accounts in ${imported.breaches} breaches from ${file.name}`);
+            await this.renderBreachSettings();
+            status.textContent = `Imported ${imported.records} accounts in ${imported.breaches} breaches from ${file.name}` +
+                (imported.skipped > 0 ? ` (${imported.skipped} rows without an account skipped)` : '');
+        } catch (error) {
+            console.error('Failed to import breach data:', error);
+            this.showError(`Could not import breach data: ${error.message}`);
+            await this.renderBreachSettings();
+        } finally {
+            input.value = '';
+        }
+    }
+
+    async renderBreachSettings() {
+        if (!this.breachStore) return;
+
+        const breaches = await this.breachStore.listBreaches();
+        const accounts = breaches.reduce((total, breach) => total + (breach.records || 0), 0);
+        document.getElementById('breachStatus').textContent = breaches.length === 0
+            ? 'No breach data imported'
+            : `${breaches.length} breaches, ${accounts} accounts in the local corpus`;
+        document.getElementById('breachList').innerHTML = breaches.map(breach => `
+            <div class="breach-entry">
+                <span><strong>${this.escapeHtml(breach.title || breach.name)}</strong>
+                    <small>${breach.breachDate ? `${this.escapeHtml(breach.breachDate)} · ` : ''}${breach.records || 0} accounts · ${this.escapeHtml(breach.source || '')}</small></span>
+                <button class="case-btn danger" data-breach-remove="${this.escapeHtml(breach.name)}">Remove</button>
+            </div>
+        `).join('');
+    }
+
+    async exportInvestigation(format) {
+        const status = document.getElementById('exportStatus');
+
+        if (!this.currentResults.sources || this.graph.nodes.size === 0) {
+            status.textContent = 'Run a search before exporting';
+            return;
+        }
+
+        const fileBase = ExportManager.fileBase(this.currentResults);
+        const graphImage = this.networkRenderer ? this.networkRenderer.toImage() : null;
+
+        switch (format) {
+            case 'json':
+                this.downloadFile(`${fileBase}.json`, this.exportManager.toJSON(this.currentResults, this.graph), 'application/json');
+                break;
+            case 'csv':
+                this.downloadFile(`${fileBase}.csv`, this.exportManager.toCSV(this.graph), 'text/csv');
+                break;
+            case 'stix': {
+                const bundle = await new StixConverter().toBundle(this.currentResults, this.graph);
+                this.downloadFile(`${fileBase}.stix.json`, JSON.stringify(bundle, null, 2), 'application/stix+json');
+                break;
+            }
+            case 'misp': {
+                const event = new MispExporter().toEvent(this.currentResults, this.graph, {
+                    tlp: document.getElementById('mispTlp').value,
+                    distribution: document.getElementById('mispDistribution').value
+                });
+                this.downloadFile(`${fileBase}.misp.json`, JSON.stringify(event, null, 2), 'application/json');
+                break;
+            }
+            case 'graphml':
+                this.downloadFile(`${fileBase}.graphml`, new GraphExporter().toGraphML(this.graph), 'application/graphml+xml');
+                break;
+            case 'gexf':
+                this.downloadFile(`${fileBase}.gexf`, new GraphExporter().toGEXF(this.graph, `OSINT investigation: ${this.currentResults.query}`), 'application/xml');
+                break;
+            case 'maltego-csv':
+                this.downloadFile(`${fileBase}-maltego.csv`, new GraphExporter().toMaltegoCSV(this.graph), 'text/csv');
+                break;
+            case 'mtgx':
+                this.downloadFile(`${fileBase}.mtgx`, new GraphExporter().toMTGX(this.graph), 'application/zip');
+                break;
+            case 'cypher':
+                this.downloadFile(`${fileBase}.cypher`, new GraphExporter().toCypher(this.graph), 'text/plain');
+                break;
+            case 'report':
+                this.downloadFile(
+                    `${fileBase}-report.html`,
+                    this.exportManager.generateHTMLReport(this.currentResults, this.graph, this.buildTimelineEvents(), graphImage),
+                    'text/html'
+                );
+                break;
+            case 'markdown':
+                this.downloadFile(
+                    `${fileBase}-report.md`,
+                    this.exportManager.generateMarkdownReport(this.currentResults, this.graph, this.buildTimelineEvents()),
+                    'text/markdown'
+                );
+                break;
+            case 'print': {
+                const reportWindow = window.open('', '_blank');
+                if (!reportWindow) {
+                    status.textContent = 'Allow pop-ups to print the report';
+                    return;
+                }
+                reportWindow.document.write(
+                    this.exportManager.generateHTMLReport(this.currentResults, this.graph, this.buildTimelineEvents(), graphImage)
+                );
+                reportWindow.document.close();
+                reportWindow.onload = () => reportWindow.print();
+                break;
+            }
         }
+
+        status.textContent = `Exported ${format.toUpperCase()} at ${new Date().toLocaleTimeString()}`;
     }
 
-    bindEvents() {
-        // Search functionality
-        const searchBtn = document.getElementById('searchBtn');
-        const searchInput = document.getElementById('searchInput');
+    // Rebuild graph entities from a STIX bundle, merging into the open investigation
+    async importStixBundle(input) {
+        const file = input.files[0];
+        const status = document.getElementById('exportStatus');
+        if (!file) return;
 
-        searchBtn.addEventListener('click', () => this.performSearch());
-        
-        searchInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.performSearch();
+        try {
+            const bundle = JSON.parse(await file.text());
+            const timestamp = new Date().toISOString();
+
+            if (!this.currentResults.sources) {
+                this.currentResults = {
+                    query: file.name,
+                    searchType: 'stix',
+                    timestamp: timestamp,
+                    searches: [],
+                    sources: [],
+                    summary: {
+                        totalSources: 0,
+                        successfulSources: 0,
+                        failedSources: 0,
+                        dataFound: false
+                    }
+                };
+                this.graph = new EntityGraph();
+                this.updateNetworkPlaceholder();
             }
-        });
 
-        // Auto-detect search type
-        searchInput.addEventListener('input', () => {
-            this.autoDetectSearchType();
-        });
+            const stats = new StixConverter().importBundle(bundle, this.graph);
+            this.currentResults.imports = this.currentResults.imports || [];
+            this.currentResults.imports.push({ format: 'stix-2.1', file: file.name, importedAt: timestamp, ...stats });
+            if (stats.entities > 0) {
+                this.currentResults.summary.dataFound = true;
+            }
+
+            document.getElementById('resultsSection').style.display = 'block';
+            this.displayIntelligenceResults();
+            this.updateTimelineResults();
+            this.updateNetworkResults();
+            await this.saveActiveCase();
+
+            status.textContent = `Imported ${stats.entities} entities and ${stats.relationships} relationships (${stats.skipped} objects not mapped)`;
+        } catch (error) {
+            console.error('STIX import failed:', error);
+            status.textContent = `STIX import failed: ${error.message}`;
+        } finally {
+            input.value = '';
+        }
     }
 
-    setupTabs() {
-        const tabButtons = document.querySelectorAll('.tab-btn');
-        
-        tabButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const tabName = button.getAttribute('data-tab');
-                this.switchTab(tabName);
-            });
-        });
+    async refreshCaseList() {
+        if (!this.caseStore) return;
+
+        const cases = await this.caseStore.listCases();
+        const caseSelect = document.getElementById('caseSelect');
+
+        caseSelect.innerHTML = `
+            <option value="">New investigation</option>
+            ${cases.map(record => `
+                <option value="${record.id}">${this.escapeHtml(record.name)} (${record.searchCount} searches, ${new Date(record.updatedAt).toLocaleDateString()})</option>
+            `).join('')}
+        `;
+        caseSelect.value = this.activeCaseId || '';
     }
 
-    switchTab(tabName) {
-        // Remove active class from all buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
+    // Persist the current investigation, creating a case on the first search
+    async saveActiveCase() {
+        if (!this.caseStore || !this.currentResults.sources) return;
 
-        // Hide all tab contents
-        document.querySelectorAll('.tab-content').forEach(content => {
-            content.classList.add('hidden');
-        });
+        try {
+            const investigation = structuredClone(this.currentResults);
+            const graph = this.graph.toJSON();
 
-        // Activate selected tab
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-        document.getElementById(`${tabName}Tab`).classList.remove('hidden');
+            if (this.activeCaseId) {
+                await this.caseStore.saveInvestigation(this.activeCaseId, investigation, graph);
+            } else {
+                const record = await this.caseStore.createCase(`Investigation: ${this.currentResults.query}`, investigation, graph);
+                this.activeCaseId = record.id;
+            }
 
-        console.log(`Switched to ${tabName} tab`);
+            await this.refreshCaseList();
+            this.setCaseStatus(`Saved ${new Date().toLocaleTimeString()}`);
+        } catch (error) {
+            console.error('Failed to save investigation case:', error);
+            this.setCaseStatus('Save failed');
+        }
     }
 
-    autoDetectSearchType() {
-        const input = document.getElementById('searchInput').value.trim();
-        const searchType = document.getElementById('searchType');
-
-        if (!input) {
-            searchType.value = 'auto';
+    async openCase(caseId) {
+        if (this.bulkSearch || this.variantSearch || this.searchInProgress) {
+            this.setCaseStatus('Wait for the running search to finish first');
+            document.getElementById('caseSelect').value = this.activeCaseId || '';
             return;
         }
 
-        // Email pattern
-        if (input.includes('@') && input.includes('.')) {
-            searchType.value = 'email';
-        }
-        // IP address pattern
-        else if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(input)) {
-            searchType.value = 'ip';
-        }
-        // Domain pattern
-        else if (input.includes('.') && !input.includes('@')) {
-            searchType.value = 'domain';
+        const record = await this.caseStore.getCase(caseId);
+        if (!record) {
+            this.showError('Case not found');
+            return;
         }
-        // Default to username
-        else {
-            searchType.value = 'username';
+
+        this.activeCaseId = record.id;
+        this.currentResults = record.investigation || {};
+        this.graph = EntityGraph.fromJSON(record.graph);
+        this.currentQuery = this.currentResults.query || '';
+
+        // Start the graph layout from scratch for the opened case
+        this.updateNetworkPlaceholder();
+
+        if (this.currentResults.sources) {
+            document.getElementById('resultsSection').style.display = 'block';
+            this.displayIntelligenceResults();
+            this.updateTimelineResults();
+            this.updateNetworkResults();
+        } else {
+            document.getElementById('resultsSection').style.display = 'none';
         }
-    }
 
-    async performSearch() {
-        const query = document.getElementById('searchInput').value.trim();
-        const searchType = document.getElementById('searchType').value;
+        this.renderBulkResults();
+        document.getElementById('caseSelect').value = record.id;
+        this.setCaseStatus(`Opened "${record.name}"`);
+    }
 
-        if (!query) {
-            this.showError('Please enter a search query');
+    newCase() {
+        if (this.bulkSearch || this.variantSearch || this.searchInProgress) {
+            this.setCaseStatus('Wait for the running search to finish first');
+            document.getElementById('caseSelect').value = this.activeCaseId || '';
             return;
         }
 
-        this.currentQuery = query;
-        
-        console.log(`Gathering real intelligence for: ${query} (type: ${searchType})`);
-        
-        // Show results section
-        document.getElementById('resultsSection').style.display = 'block';
-        
-        // Show loading state
-        this.showLoading();
+        this.activeCaseId = null;
+        this.currentResults = {};
+        this.currentQuery = '';
+        this.graph = new EntityGraph();
 
-        // Perform real intelligence gathering
-        if (this.sourceManager && this.sourceManager.initialized) {
-            try {
-                await this.performRealIntelligenceGathering(query, searchType);
-            } catch (error) {
-                console.error('Intelligence gathering failed:', error);
-                this.showError('Intelligence gathering failed. Please try again.');
-            }
-        } else {
-            this.showError('Intelligence sources not available');
-        }
+        this.updateNetworkPlaceholder();
+        this.updateTimelinePlaceholder();
+        this.renderBulkResults();
+        document.getElementById('resultsSection').style.display = 'none';
+        document.getElementById('caseSelect').value = '';
+        this.setCaseStatus('');
     }
 
-    async performRealIntelligenceGathering(query, searchType) {
-        const availableSources = this.sourceManager.getSourcesForType(searchType);
-        
-        if (availableSources.length === 0) {
-            this.showError(`No intelligence sources available for ${searchType} searches`);
+    async handleCaseAction(action) {
+        if (!this.caseStore) {
+            this.setCaseStatus('Case storage unavailable');
             return;
         }
 
-        // Initialize results
-        this.currentResults = {
-            query: query,
-            searchType: searchType,
-            timestamp: new Date().toISOString(),
-            sources: [],
-            summary: {
-                totalSources: availableSources.length,
-                successfulSources: 0,
-                failedSources: 0,
-                dataFound: false
-            }
-        };
+        if ((this.bulkSearch || this.variantSearch || this.searchInProgress) && action !== 'rename') {
+            this.setCaseStatus('Wait for the running search to finish first');
+            return;
+        }
 
-        console.log(`Querying ${availableSources.length} intelligence sources for ${searchType}: ${query}`);
+        if (action === 'new') {
+            this.newCase();
+            return;
+        }
 
-        // Query all sources concurrently with rate limiting
-        const intelligencePromises = availableSources.map((source, index) => 
-            this.delay(index * 500).then(() => // Stagger requests
-                this.querySourceWithRetry(source.id, query, searchType)
-            )
-        );
+        if (!this.activeCaseId) {
+            this.setCaseStatus('Open or create a case first');
+            return;
+        }
 
-        // Wait for all intelligence gathering to complete
-        const results = await Promise.allSettled(intelligencePromises);
-        
-        // Process results
-        results.forEach((result, index) => {
-            if (result.status === 'fulfilled' && result.value.success) {
-                this.currentResults.sources.push(result.value);
-                this.currentResults.summary.successfulSources++;
-                if (result.value.data.found) {
-                    this.currentResults.summary.dataFound = true;
+        try {
+            const record = await this.caseStore.getCase(this.activeCaseId);
+
+            switch (action) {
+                case 'rename': {
+                    const name = prompt('Rename case', record.name);
+                    if (name && name.trim()) {
+                        await this.caseStore.renameCase(record.id, name.trim());
+                        this.setCaseStatus('Case renamed');
+                    }
+                    break;
                 }
-            } else {
-                this.currentResults.summary.failedSources++;
-                console.warn(`Intelligence source ${availableSources[index].name} failed:`, result.reason);
+                case 'duplicate': {
+                    const copy = await this.caseStore.duplicateCase(record.id);
+                    await this.openCase(copy.id);
+                    break;
+                }
+                case 'delete':
+                    if (confirm(`Delete case "${record.name}"? This cannot be undone.`)) {
+                        await this.caseStore.deleteCase(record.id);
+                        this.newCase();
+                        this.setCaseStatus('Case deleted');
+                    }
+                    break;
             }
-        });
 
-        // Display intelligence results
-        this.displayIntelligenceResults();
-        this.updateTimelineResults();
-        this.updateNetworkResults();
+            await this.refreshCaseList();
+        } catch (error) {
+            console.error(`Case ${action} failed:`, error);
+            this.setCaseStatus(`Case ${action} failed`);
+        }
     }
 
-    async querySourceWithRetry(sourceId, query, searchType, maxRetries = 2) {
+    setCaseStatus(message) {
+        document.getElementById('caseStatus').textContent = message;
+    }
+
+    // options: { bypassCache } as for SourceManager.querySource
+    async querySourceWithRetry(sourceId, query, searchType, options = {}, maxRetries = 2) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                return await this.sourceManager.querySource(sourceId, query, searchType);
+                return await this.sourceManager.querySource(sourceId, query, searchType, options);
             } catch (error) {
                 console.warn(`Intelligence source ${sourceId} attempt ${attempt} failed:`, error);
                 if (attempt === maxRetries) {
@@ -223,28 +1538,52 @@ class OSINTAggregator {
         // Create intelligence summary section
         const summaryHtml = `
             <div class="search-summary">
-                <h4>Intelligence Report for: <span style="color: var(--accent-primary);">${results.query}</span></h4>
+                <h4>Intelligence Report for: <span style="color: var(--accent-primary);">${this.escapeHtml(results.query)}</span></h4>
                 <div class="summary-stats">
                     <span class="stat">Type: ${results.searchType.charAt(0).toUpperCase() + results.searchType.slice(1)}</span>
                     <span class="stat">Sources: ${results.summary.successfulSources}/${results.summary.totalSources}</span>
+                    ${results.imports && results.imports.length > 0 ? `
+                        <span class="stat">Imported: ${results.imports.reduce((total, entry) => total + entry.entities, 0)} entities</span>
+                    ` : ''}
                     <span class="stat ${results.summary.dataFound ? 'data-found' : 'no-data'}">
                         ${results.summary.dataFound ? '✅ Intelligence Gathered' : '❌ No Intelligence'}
                     </span>
                 </div>
+                ${results.misconfiguredSources && results.misconfiguredSources.length > 0 ? `
+                    <div class="misconfigured-sources">
+                        <strong>⚠️ Misconfigured sources (not queried):</strong>
+                        <ul>
+                            ${results.misconfiguredSources.map(issue => `
+                                <li>${this.escapeHtml(issue.sourceName)} (${issue.searchType}): ${this.escapeHtml(issue.reason)}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                ${results.identities && results.identities.length > 0 ? `
+                    <div class="identity-groups">
+                        ${results.identities.map(group => `
+                            <p><strong>Variants of ${this.escapeHtml(group.identity)}:</strong>
+                                ${group.variants.filter(variant => variant.profiles.length > 0).map(variant =>
+                                    `${this.escapeHtml(variant.value)} (${variant.profiles.map(platform => this.escapeHtml(platform)).join(', ')})`
+                                ).join('; ') || 'no profiles found'}
+                                <small>· ${group.variants.length} searched</small></p>
+                        `).join('')}
+                    </div>
+                ` : ''}
                 <hr style="margin: 15px 0; border-color: var(--border-color);">
             </div>
         `;
 
         // Create intelligence cards from each source
-        const intelligenceHtml = results.sources.map(sourceResult => {
+        const intelligenceHtml = results.sources.map((sourceResult, index) => {
             const confidence = sourceResult.confidence;
             const data = sourceResult.data;
             
             return `
-                <div class="result-card ${data.found ? 'has-data' : 'no-data'}">
+                <div class="result-card ${data.found ? 'has-data' : 'no-data'}" data-source-index="${index}">
                     <div class="result-header">
                         <div class="source-info">
-                            <span class="source-name">${sourceResult.sourceName}</span>
+                            <span class="source-name">${this.escapeHtml(sourceResult.sourceName)}</span>
                             <span class="confidence-badge">${confidence}%</span>
                         </div>
                         <div class="result-status ${data.found ? 'found' : 'not-found'}">
@@ -254,13 +1593,15 @@ class OSINTAggregator {
                     
                     ${data.found ? this.renderIntelligenceData(sourceResult) : `
                         <div class="no-data-message">
-                            <p>${data.error || 'No intelligence data found for this query'}</p>
+                            <p>${this.escapeHtml(data.error || 'No intelligence data found for this query')}</p>
                         </div>
                     `}
                     
                     <div class="result-footer">
-                        <small>Collected: ${new Date(sourceResult.timestamp).toLocaleString()}</small>
-                        ${data.collectionMethod ? `<br><small>Method: ${data.collectionMethod}</small>` : ''}
+                        ${results.searches.length > 1 ? `<small>Target: ${this.escapeHtml(sourceResult.query)}</small><br>` : ''}
+                        <small>Collected: ${new Date(sourceResult.timestamp).toLocaleString()}${sourceResult.fromCache
+                            ? ` (from cache, expires ${new Date(sourceResult.expiresAt).toLocaleString()})` : ''}</small>
+                        ${data.collectionMethod ? `<br><small>Method: ${this.escapeHtml(data.collectionMethod)}</small>` : ''}
                     </div>
                 </div>
             `;
@@ -271,7 +1612,7 @@ class OSINTAggregator {
 
     renderIntelligenceData(sourceResult) {
         const data = sourceResult.data;
-        const sourceType = this.sourceManager.findSourceById(sourceResult.sourceId)?.type;
+        const collector = this.sourceManager.getCollectorForResult(sourceResult);
         
         // Handle error cases
         if (data.error) {
@@ -279,134 +1620,30 @@ class OSINTAggregator {
                 <div class="data-content">
                     <h5>⚠️ Collection Error</h5>
                     <div class="error-message">
-                        <p>${data.error}</p>
+                        <p>${this.escapeHtml(data.error)}</p>
                     </div>
                 </div>
             `;
         }
         
-        switch (sourceType) {
-            case 'certificate_intelligence':
-                return `
-                    <div class="data-content">
-                        <h5>🔒 Certificate Intelligence</h5>
-                        <div class="cert-info">
-                            <p><strong>Total Certificates:</strong> ${data.totalCertificates || 0}</p>
-                            ${data.subdomains && data.subdomains.length > 0 ? `
-                                <p><strong>Subdomains Found:</strong> ${data.subdomains.slice(0, 5).join(', ')}${data.subdomains.length > 5 ? '...' : ''}</p>
-                            ` : ''}
-                            ${data.issuers && data.issuers.length > 0 ? `
-                                <p><strong>Certificate Authorities:</strong> ${data.issuers.join(', ')}</p>
-                            ` : ''}
-                        </div>
-                    </div>
-                `;
-                
-            case 'dns_intelligence':
-                return `
-                    <div class="data-content">
-                        <h5>🌐 DNS Intelligence</h5>
-                        <div class="dns-info">
-                            ${data.ipAddresses && data.ipAddresses.length > 0 ? `
-                                <p><strong>IP Addresses:</strong> ${data.ipAddresses.join(', ')}</p>
-                            ` : ''}
-                            ${data.nameservers && data.nameservers.length > 0 ? `
-                                <p><strong>Name Servers:</strong> ${data.nameservers.join(', ')}</p>
-                            ` : ''}
-                            ${data.mailServers && data.mailServers.length > 0 ? `
-                                <p><strong>Mail Servers:</strong> ${data.mailServers.join(', ')}</p>
-                            ` : ''}
-                            ${data.textRecords && data.textRecords.length > 0 ? `
-                                <p><strong>TXT Records:</strong> ${data.textRecords.length} found</p>
-                            ` : ''}
-                        </div>
-                    </div>
-                `;
-                
-            case 'social_intelligence':
-                return `
-                    <div class="data-content">
-                        <h5>👥 Social Media Intelligence</h5>
-                        <div class="social-info">
-                            <p><strong>Platforms Found:</strong> ${data.totalFound || 0}/${data.totalChecked || 0}</p>
-                            ${data.profiles && data.profiles.length > 0 ? `
-                                <div class="profile-list">
-                                    ${data.profiles.map(profile => `
-                                        <div class="profile-item">
-                                            <span class="platform">${profile.platform}</span>
-                                            <span class="status">${profile.status}</span>
-                                            <a href="${profile.url}" target="_blank" rel="noopener">View Profile</a>
-                                        </div>
-                                    `).join('')}
-                                </div>
-                            ` : ''}
-                        </div>
-                    </div>
-                `;
-                
-            case 'email_intelligence':
-                return `
-                    <div class="data-content">
-                        <h5>📧 Email Intelligence</h5>
-                        <div class="email-info">
-                            <p><strong>Username:</strong> ${data.username}</p>
-                            <p><strong>Domain:</strong> ${data.domain}</p>
-                            ${data.structure ? `
-                                <div class="structure-info">
-                                    <p><strong>Username Length:</strong> ${data.structure.usernameLength}</p>
-                                    <p><strong>Has Numbers:</strong> ${data.structure.hasNumbers ? 'Yes' : 'No'}</p>
-                                    <p><strong>Special Characters:</strong> ${data.structure.hasSpecialChars ? 'Yes' : 'No'}</p>
-                                </div>
-                            ` : ''}
-                            ${data.domainDNS && data.domainDNS.found ? `
-                                <p><strong>Domain Intelligence:</strong> DNS records found</p>
-                            ` : ''}
-                            ${data.socialProfiles && data.socialProfiles.found ? `
-                                <p><strong>Social Profiles:</strong> ${data.socialProfiles.totalFound} profiles found</p>
-                            ` : ''}
-                        </div>
-                    </div>
-                `;
-                
-            case 'ip_intelligence':
-                return `
-                    <div class="data-content">
-                        <h5>🌍 IP Intelligence</h5>
-                        <div class="ip-info">
-                            <p><strong>Country:</strong> ${data.country || 'Unknown'}</p>
-                            <p><strong>Region:</strong> ${data.region || 'Unknown'}</p>
-                            <p><strong>City:</strong> ${data.city || 'Unknown'}</p>
-                            <p><strong>Organization:</strong> ${data.organization || data.isp || 'Unknown'}</p>
-                            ${data.coordinates && data.coordinates.lat ? `
-                                <p><strong>Coordinates:</strong> ${data.coordinates.lat}, ${data.coordinates.lon}</p>
-                            ` : ''}
-                            ${data.timezone ? `<p><strong>Timezone:</strong> ${data.timezone}</p>` : ''}
-                        </div>
-                    </div>
-                `;
-                
-            default:
-                return `
-                    <div class="data-content">
-                        <h5>📊 Intelligence Data</h5>
-                        <div class="generic-data">
-                            <p>Intelligence gathered by ${sourceResult.sourceName}</p>
-                            ${data.message ? `<p>${data.message}</p>` : ''}
-                            ${data.collectionMethod ? `<p><strong>Method:</strong> ${data.collectionMethod}</p>` : ''}
-                        </div>
-                    </div>
-                `;
+        // Collectors provide their own card renderer
+        if (collector && collector.render) {
+            return collector.render(sourceResult, { escapeHtml: (value) => this.escapeHtml(value) });
         }
-    }
-
-    updateTimelineResults() {
-        const timelineDiv = document.getElementById('timeline');
         
-        if (!this.currentResults || this.currentResults.sources.length === 0) {
-            this.updateTimelinePlaceholder();
-            return;
-        }
+        return `
+            <div class="data-content">
+                <h5>📊 Intelligence Data</h5>
+                <div class="generic-data">
+                    <p>Intelligence gathered by ${this.escapeHtml(sourceResult.sourceName)}</p>
+                    ${data.message ? `<p>${this.escapeHtml(data.message)}</p>` : ''}
+                    ${data.collectionMethod ? `<p><strong>Method:</strong> ${this.escapeHtml(data.collectionMethod)}</p>` : ''}
+                </div>
+            </div>
+        `;
+    }
 
+    buildTimelineEvents() {
         // Create timeline data from intelligence results
         const timelineEvents = [];
         
@@ -420,7 +1657,7 @@ class OSINTAggregator {
                         if (cert.notBefore) {
                             timelineEvents.push({
                                 date: cert.notBefore,
-                                event: `Certificate issued by ${cert.issuer}`,
+                                event: `Certificate for ${cert.subject} issued by ${cert.issuerName || cert.issuer}`,
                                 source: sourceResult.sourceName,
                                 type: 'certificate'
                             });
@@ -428,11 +1665,11 @@ class OSINTAggregator {
                     });
                 }
                 
-                // Add social media events
+                // Add social media events, dated by when the profile was found
                 if (data.profiles) {
-                    data.profiles.forEach(profile => {
+                    data.profiles.filter(profile => profile.status === 'exists').forEach(profile => {
                         timelineEvents.push({
-                            date: new Date().toISOString().split('T')[0], // Today as discovery date
+                            date: sourceResult.timestamp,
                             event: `${profile.platform} profile discovered`,
                             source: sourceResult.sourceName,
                             type: 'social'
@@ -440,13 +1677,39 @@ class OSINTAggregator {
                     });
                 }
                 
-                // Add domain registration events
-                if (data.domain) {
-                    timelineEvents.push({
-                        date: new Date().toISOString().split('T')[0],
-                        event: `Domain intelligence gathered`,
-                        source: sourceResult.sourceName,
-                        type: 'domain'
+                // Add breach events, dated by when each breach happened
+                if (data.breaches) {
+                    data.breaches.filter(breach => breach.breachDate).forEach(breach => {
+                        timelineEvents.push({
+                            date: breach.breachDate,
+                            event: breach.accounts.length > 1
+                                ? `${breach.title} breach exposed ${breach.accounts.length} accounts at ${data.query}`
+                                : breach.accounts.length === 0
+                                    ? `${breach.title} breached (service at ${data.query})`
+                                    : `${data.query} exposed in ${breach.title} breach`,
+                            source: sourceResult.sourceName,
+                            type: 'breach'
+                        });
+                    });
+                }
+                
+                // Add registration events (RDAP creation, update, transfer and expiry dates)
+                if (data.objectClass && data.events) {
+                    const subject = data.name || data.query;
+                    const labels = {
+                        registration: 'registered',
+                        reregistration: 're-registered',
+                        transfer: 'transferred',
+                        'last changed': 'registration updated',
+                        expiration: 'registration expires'
+                    };
+                    data.events.filter(event => labels[event.action]).forEach(event => {
+                        timelineEvents.push({
+                            date: event.date,
+                            event: `${subject} ${labels[event.action]}`,
+                            source: sourceResult.sourceName,
+                            type: 'registration'
+                        });
                     });
                 }
             }
@@ -455,18 +1718,31 @@ class OSINTAggregator {
         // Sort by date
         timelineEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
 
+        return timelineEvents;
+    }
+
+    updateTimelineResults() {
+        const timelineDiv = document.getElementById('timeline');
+        
+        if (!this.currentResults || this.currentResults.sources.length === 0) {
+            this.updateTimelinePlaceholder();
+            return;
+        }
+
+        const timelineEvents = this.buildTimelineEvents();
+
         const timelineHtml = `
             <div class="timeline-header">
                 <h3>📅 Intelligence Timeline</h3>
-                <p>${timelineEvents.length} events found for ${this.currentResults.query}</p>
+                <p>${timelineEvents.length} events found for ${this.escapeHtml(this.currentResults.query)}</p>
             </div>
             <div class="timeline-events">
                 ${timelineEvents.map((event, index) => `
                     <div class="timeline-event ${event.type}">
                         <div class="event-date">${new Date(event.date).toLocaleDateString()}</div>
                         <div class="event-content">
-                            <div class="event-title">${event.event}</div>
-                            <div class="event-source">Source: ${event.source}</div>
+                            <div class="event-title">${this.escapeHtml(event.event)}</div>
+                            <div class="event-source">Source: ${this.escapeHtml(event.source)}</div>
                         </div>
                     </div>
                 `).join('')}
@@ -480,110 +1756,128 @@ class OSINTAggregator {
     updateNetworkResults() {
         const networkDiv = document.getElementById('networkGraph');
         
-        if (!this.currentResults || this.currentResults.sources.length === 0) {
+        if (!this.currentResults.sources || this.graph.nodes.size === 0) {
             this.updateNetworkPlaceholder();
             return;
         }
 
-        // Create network relationships from intelligence results
-        const relationships = [];
-        const entities = new Set([this.currentResults.query]);
-        
-        this.currentResults.sources.forEach(sourceResult => {
-            if (sourceResult.data.found) {
-                const data = sourceResult.data;
-                
-                // Add IP relationships
-                if (data.ipAddresses) {
-                    data.ipAddresses.forEach(ip => {
-                        entities.add(ip);
-                        relationships.push({
-                            from: this.currentResults.query,
-                            to: ip,
-                            type: 'resolves_to',
-                            source: sourceResult.sourceName
-                        });
-                    });
-                }
-                
-                // Add subdomain relationships
-                if (data.subdomains) {
-                    data.subdomains.slice(0, 10).forEach(subdomain => {
-                        entities.add(subdomain);
-                        relationships.push({
-                            from: this.currentResults.query,
-                            to: subdomain,
-                            type: 'subdomain',
-                            source: sourceResult.sourceName
-                        });
-                    });
-                }
-                
-                // Add social profile relationships
-                if (data.profiles) {
-                    data.profiles.forEach(profile => {
-                        const profileId = `${profile.platform}:${profile.username || this.currentResults.query}`;
-                        entities.add(profileId);
-                        relationships.push({
-                            from: this.currentResults.query,
-                            to: profileId,
-                            type: 'social_profile',
-                            source: sourceResult.sourceName
-                        });
-                    });
-                }
-                
-                // Add organization relationships
-                if (data.organization || data.isp) {
-                    const org = data.organization || data.isp;
-                    entities.add(org);
-                    relationships.push({
-                        from: this.currentResults.query,
-                        to: org,
-                        type: 'organization',
-                        source: sourceResult.sourceName
-                    });
-                }
-            }
-        });
+        // Network relationships come from the merged investigation graph
+        const nodes = this.graph.getNodes();
+        const relationships = this.graph.getEdges();
+        const searches = this.currentResults.searches;
 
-        const networkHtml = `
-            <div class="network-header">
-                <h3>🕸️ Intelligence Network</h3>
-                <p>${entities.size} entities, ${relationships.length} relationships</p>
-            </div>
-            <div class="network-visualization">
-                <div class="network-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Target Entity:</span>
-                        <span class="stat-value">${this.currentResults.query}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Related Entities:</span>
-                        <span class="stat-value">${entities.size - 1}</span>
-                    </div>
+        if (!this.networkRenderer) {
+            networkDiv.innerHTML = `
+                <div class="network-header">
+                    <h3>🕸️ Intelligence Network</h3>
+                    <p id="networkSummary"></p>
                 </div>
-                
-                <div class="relationships-list">
-                    ${relationships.map(rel => `
-                        <div class="relationship-item ${rel.type}">
-                            <div class="relationship-path">
-                                <span class="entity from">${rel.from}</span>
-                                <span class="arrow">→</span>
-                                <span class="entity to">${rel.to}</span>
+                <div class="network-visualization">
+                    <div class="network-stats" id="networkStats"></div>
+                    <div class="pivot-trail" id="pivotTrail"></div>
+                    <div class="graph-workspace">
+                        <div class="graph-stage" id="graphStage">
+                            <div class="graph-controls">
+                                <button class="graph-control" data-graph-action="zoom-in" title="Zoom in">+</button>
+                                <button class="graph-control" data-graph-action="zoom-out" title="Zoom out">−</button>
+                                <button class="graph-control" data-graph-action="fit" title="Fit to view">⤢</button>
                             </div>
-                            <div class="relationship-meta">
-                                <span class="type">${rel.type.replace('_', ' ')}</span>
-                                <span class="source">via ${rel.source}</span>
+                            <div class="graph-legend">
+                                ${Object.entries(NetworkGraphRenderer.TYPE_COLORS).map(([type, color]) => `
+                                    <span class="legend-item"><span class="legend-dot" style="background: ${color};"></span>${type.replace('_', ' ')}</span>
+                                `).join('')}
                             </div>
                         </div>
-                    `).join('')}
-                    ${relationships.length === 0 ? '<p style="text-align: center; color: var(--text-secondary);">No relationships found</p>' : ''}
+                        <aside class="graph-details" id="graphDetails"></aside>
+                    </div>
+                    <p class="network-hint">Drag to pan, scroll to zoom, click a node for details, double-click to pivot into a linked search</p>
                 </div>
+            `;
+
+            this.networkRenderer = new NetworkGraphRenderer(document.getElementById('graphStage'), {
+                onSelect: (node) => this.renderNodeDetails(node),
+                onPivot: (node) => this.pivotToEntity(node.id)
+            });
+        }
+
+        document.getElementById('networkSummary').textContent = `${nodes.length} entities, ${relationships.length} relationships`;
+        document.getElementById('networkStats').innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">Target Entity:</span>
+                <span class="stat-value">${this.escapeHtml(this.currentResults.query)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Related Entities:</span>
+                <span class="stat-value">${nodes.length - 1}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Searches:</span>
+                <span class="stat-value">${searches.length}</span>
             </div>
         `;
+        document.getElementById('pivotTrail').innerHTML = searches.length > 1
+            ? searches.map(search => `<span class="entity" data-select="${this.escapeHtml(search.query)}">${this.escapeHtml(search.query)}</span>`).join('<span class="arrow">→</span>')
+            : '';
+
+        this.networkRenderer.setData(nodes, relationships);
+        this.renderNodeDetails(this.networkRenderer.selected ? this.networkRenderer.selected.data : null);
+    }
+
+    handleGraphAction(action) {
+        switch (action) {
+            case 'zoom-in':
+                this.networkRenderer.zoomAt(1.25);
+                break;
+            case 'zoom-out':
+                this.networkRenderer.zoomAt(0.8);
+                break;
+            case 'fit':
+                this.networkRenderer.fitToView();
+                break;
+        }
+    }
+
+    renderNodeDetails(node) {
+        const detailsDiv = document.getElementById('graphDetails');
+        if (!detailsDiv) return;
+
+        if (!node) {
+            detailsDiv.innerHTML = `
+                <h4>Entity Details</h4>
+                <p class="graph-details-empty">Select a node to inspect it</p>
+            `;
+            return;
+        }
+
+        const related = this.graph.getEdges().filter(edge => edge.from === node.id || edge.to === node.id);
+        const canPivot = node.pivotType && !node.searched;
 
-        networkDiv.innerHTML = networkHtml;
+        detailsDiv.innerHTML = `
+            <h4>Entity Details</h4>
+            <div class="entity-title">
+                <span class="legend-dot" style="background: ${this.networkRenderer.colorFor(node.type)};"></span>
+                <span>${this.escapeHtml(node.label)}</span>
+            </div>
+            <p><strong>Type:</strong> ${node.type.replace('_', ' ')}</p>
+            <p><strong>First Seen:</strong> ${new Date(node.firstSeen).toLocaleString()}</p>
+            ${node.sources.length > 0 ? `<p><strong>Sources:</strong> ${this.escapeHtml(node.sources.join(', '))}</p>` : ''}
+            <p><strong>Status:</strong> ${node.searched ? 'Searched' : 'Discovered'}</p>
+            ${canPivot ? `
+                <button class="pivot-btn" data-pivot="${this.escapeHtml(node.id)}">Pivot: search ${this.escapeHtml(node.pivotValue)} as ${node.pivotType}</button>
+            ` : ''}
+            <h5>Relationships (${related.length})</h5>
+            <div class="graph-details-relations">
+                ${related.map(edge => {
+                    const other = edge.from === node.id ? edge.to : edge.from;
+                    return `
+                        <div class="relation-row">
+                            <span class="type">${this.escapeHtml(edge.type.replace('_', ' '))}</span>
+                            <span class="entity" data-select="${this.escapeHtml(other)}">${this.escapeHtml(other)}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
     }
 
     displaySourceStats() {
@@ -612,6 +1906,10 @@ class OSINTAggregator {
 
     updateNetworkPlaceholder() {
         const networkDiv = document.getElementById('networkGraph');
+        if (this.networkRenderer) {
+            this.networkRenderer.destroy();
+            this.networkRenderer = null;
+        }
         networkDiv.innerHTML = `
             <div style="text-align: center; color: var(--text-secondary);">
                 <h3>🕸️ Network Graph</h3>
@@ -624,11 +1922,32 @@ class OSINTAggregator {
         const resultsDiv = document.getElementById('searchResults');
         resultsDiv.innerHTML = `
             <div style="color: #ff4444; text-align: center; padding: 20px;">
-                ⚠️ ${message}
+                ⚠️ ${this.escapeHtml(message)}
             </div>
         `;
     }
 
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -636,40 +1955,56 @@ class OSINTAggregator {
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    const components = [
+        { src: './components/ip-utils.js', label: 'IP address utilities' },
+        { src: './components/target-types.js', label: 'Target type parsers' },
+        { src: './components/email-security.js', label: 'Email security parsers' },
+        { src: './components/certificate-table.js', label: 'Certificate table' },
+        { src: './components/platform-catalog.js', label: 'Username platform catalog' },
+        { src: './components/email-formats.js', label: 'Email format inference' },
+        { src: './components/http-recorder.js', label: 'HTTP recorder' },
+        { src: './components/osint-collector.js', label: 'Real OSINT collector' },
+        { src: './components/collector-registry.js', label: 'Collector registry' },
+        { src: './components/builtin-collectors.js', label: 'Built-in collectors' },
+        { src: './components/result-cache.js', label: 'Result cache' },
+        { src: './components/source-manager.js', label: 'Integrated source manager' },
+        { src: './components/entity-graph.js', label: 'Investigation entity graph' },
+        { src: './components/network-graph.js', label: 'Network graph renderer' },
+        { src: './components/local-database.js', label: 'Local database' },
+        { src: './components/case-store.js', label: 'Investigation case store' },
+        { src: './components/breach-store.js', label: 'Breach corpus store' },
+        { src: './components/export-manager.js', label: 'Export manager' },
+        { src: './components/stix-converter.js', label: 'STIX converter' },
+        { src: './components/misp-exporter.js', label: 'MISP exporter' },
+        { src: './components/graph-exporters.js', label: 'Graph exporters' },
+        { src: './components/task-queue.js', label: 'Task queue' },
+        { src: './components/bulk-search.js', label: 'Bulk target search' },
+        { src: './components/username-permutations.js', label: 'Username permutations' },
+        { src: './components/monitor-store.js', label: 'Monitor store' },
+        { src: './components/change-detector.js', label: 'Change detector' },
+        { src: './components/monitor-scheduler.js', label: 'Monitor scheduler' }
+    ];
     let componentsLoaded = 0;
-    const totalComponents = 2;
     
     function checkAllComponentsLoaded() {
         componentsLoaded++;
-        if (componentsLoaded === totalComponents) {
+        if (componentsLoaded === components.length) {
             console.log('All OSINT components loaded, initializing aggregator...');
             new OSINTAggregator();
         }
     }
     
-    // Load OSINT collector
-    const collectorScript = document.createElement('script');
-    collectorScript.src = './components/osint-collector.js';
-    collectorScript.onload = () => {
-        console.log('Real OSINT collector loaded');
-        checkAllComponentsLoaded();
-    };
-    collectorScript.onerror = () => {
-        console.error('Failed to load osint-collector.js');
-        checkAllComponentsLoaded();
-    };
-    document.head.appendChild(collectorScript);
-    
-    // Load source manager
-    const managerScript = document.createElement('script');
-    managerScript.src = './components/source-manager.js';
-    managerScript.onload = () => {
-        console.log('Integrated source manager loaded');
-        checkAllComponentsLoaded();
-    };
-    managerScript.onerror = () => {
-        console.error('Failed to load source-manager.js');
-        checkAllComponentsLoaded();
-    };
-    document.head.appendChild(managerScript);
+    components.forEach(component => {
+        const script = document.createElement('script');
+        script.src = component.src;
+        script.onload = () => {
+            console.log(`${component.label} loaded`);
+            checkAllComponentsLoaded();
+        };
+        script.onerror = () => {
+            console.error(`Failed to load ${component.src.split('/').pop()}`);
+            checkAllComponentsLoaded();
+        };
+        document.head.appendChild(script);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Mock profile site for exercising the profile proxy without touching real platforms.
+// Each path prefix behaves like a different kind of platform:
+//
+//   /status/<name>    200 for known users, 404 otherwise
+//   /marker/<name>    always 200; unknown users get a "User not found" page
+//   /redirect/<name>  known users get a profile, unknown users a 302 to /signup
+//   /limited/<name>   always 429 with Retry-After
+//
+//   node server/mock-site.js [--port 8788]
+// Known users: alice, bob
+
+const http = require('http');
+
+const KNOWN_USERS = ['alice', 'bob'];
+
+const profilePage = (name) => `<html><body><h1 class="profile-name">${name}</h1></body></html>`;
+
+function createMockSite() {
+    return http.createServer((request, response) => {
+        const [, kind, name = ''] = new URL(request.url, 'http://localhost').pathname.split('/');
+        const known = KNOWN_USERS.includes(name.toLowerCase());
+        const send = (status, body, headers = {}) => {
+            response.writeHead(status, { 'Content-Type': 'text/html', ...headers });
+            response.end(body);
+        };
+
+        if (kind === 'status') {
+            return known ? send(200, profilePage(name)) : send(404, '<html><body>Page not found</body></html>');
+        }
+        if (kind === 'marker') {
+            return send(200, known ? profilePage(name) : '<html><body><p>User not found</p></body></html>');
+        }
+        if (kind === 'redirect') {
+            return known ? send(200, profilePage(name)) : send(302, '', { Location: '/signup' });
+        }
+        if (kind === 'signup') {
+            return send(200, '<html><body>Create an account</body></html>');
+        }
+        if (kind === 'limited') {
+            return send(429, '<html><body>Too many requests</body></html>', { 'Retry-After': '60' });
+        }
+        send(404, '<html><body>Page not found</body></html>');
+    });
+}
+
+if (require.main === module) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex === -1 ? 8788 : Number(process.argv[portIndex + 1]);
+    createMockSite().listen(port, '127.0.0.1', () => {
+        console.log(`Mock profile site on http://127.0.0.1:${port} (known users: ${KNOWN_USERS.join(', ')})`);
+    });
+}
+
+module.exports = { createMockSite, KNOWN_USERS };
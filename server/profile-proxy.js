@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+// Profile Proxy - companion service that fetches profile URLs server-side for the
+// browser app and classifies each one as exists, not_found, rate_limited or unknown.
+// No dependencies beyond Node 18+.
+//
+//   node server/profile-proxy.js [--port 8787] [--host 127.0.0.1] [--origin https://app.example]
+//                                [--allow-file-origin] [--catalog wmn-data.json] [--allow-private]
+//
+// GET  /health  -> { ok: true, service, version }
+// POST /check   -> body { url, signals, site?, postBody? } -> { status, httpStatus, finalUrl, redirects, reason }
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const DEFAULTS = {
+    port: 8787,
+    host: '127.0.0.1',
+    origins: [],
+    allowFileOrigin: false,
+    catalogs: [path.join(__dirname, '..', 'data', 'platforms.json')],
+    allowPrivate: false,
+    timeout: 10000,
+    maxRedirects: 5,
+    maxBodyBytes: 1024 * 1024,
+    hostInterval: 1000,
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'
+};
+
+// Page origins allowed by default: local dev servers. file:// pages send "null", as do
+// sandboxed iframes and data: pages on any site, so that needs --allow-file-origin.
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// Body markers that mean the platform is throttling us rather than answering
+const RATE_LIMIT_MARKERS = ['rate limit', 'too many requests', 'unusual traffic'];
+
+// Loopback, private, link-local and other non-public addresses the proxy will not fetch
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) || a >= 224;
+    }
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+function refuseHost(hostname) {
+    return new Error(`Refusing to fetch non-public host ${hostname} (start with --allow-private to permit)`);
+}
+
+// Socket lookup that rejects hosts resolving to any non-public address. The checked
+// address is the one connected to, so a second DNS answer cannot rebind the host.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { all: true, family: options.family || 0 }).then(entries => {
+        if (entries.length === 0 || entries.some(entry => isPrivateAddress(entry.address))) {
+            throw refuseHost(hostname);
+        }
+        if (options.all) {
+            callback(null, entries);
+        } else {
+            callback(null, entries[0].address, entries[0].family);
+        }
+    }).catch(error => callback(error));
+}
+
+// IP literals skip the lookup, so they are checked here
+function assertPublicHost(url, options) {
+    if (options.allowPrivate) return;
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw refuseHost(hostname);
+    }
+}
+
+// One HTTP exchange without following redirects; resolves with the response stream
+function exchange(url, request) {
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const outgoing = client.request(url, {
+            method: request.method,
+            headers: request.headers,
+            lookup: request.lookup,
+            signal: request.signal
+        }, resolve);
+        outgoing.on('error', reject);
+        outgoing.end(request.body);
+    });
+}
+
+// Wait so requests to the same host start at least hostInterval ms apart
+const lastRequestAt = new Map();
+async function paceHost(hostname, interval) {
+    const now = Date.now();
+    const next = Math.max(now, (lastRequestAt.get(hostname) || 0) + interval);
+    lastRequestAt.set(hostname, next);
+    if (next > now) {
+        await new Promise(resolve => setTimeout(resolve, next - now));
+    }
+}
+
+async function readBody(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) break;
+    }
+    response.destroy();
+    return Buffer.concat(chunks).toString('utf8').slice(0, maxBytes);
+}
+
+// True when value is the template with its {account} placeholder filled in
+function fillsTemplate(template, value) {
+    const pattern = String(template).split('{account}')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^\\s"\'&=<>/?#]*');
+    return new RegExp(`^${pattern}$`).test(value);
+}
+
+// WhatsMyName sites by name, from the bundled catalog and any given with --catalog
+function loadCatalogSites(files) {
+    const sites = new Map();
+    files.forEach(file => {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        (data.sites || []).forEach(site => sites.set(site.name, site));
+    });
+    return sites;
+}
+
+// Headers and a POST body are sent only when the named catalog site declares them and
+// the URL is that site's check URL; caller-supplied headers are never forwarded
+function siteRequest(sites, payload) {
+    const site = sites.get(payload.site);
+    if (!site || typeof site.uri_check !== 'string' || !fillsTemplate(site.uri_check, payload.url)) {
+        return {};
+    }
+    const headers = Object.fromEntries(Object.entries(site.headers || {})
+        .filter(([name, value]) => typeof value === 'string' && !/^(host|content-length|connection)$/i.test(name)));
+    const postBody = typeof site.post_body === 'string' && typeof payload.postBody === 'string' &&
+        fillsTemplate(site.post_body, payload.postBody) ? payload.postBody : undefined;
+    return { headers, postBody };
+}
+
+// Per-platform signals, all optional:
+//   existsStatus (default 200), missingStatus (default 404), existsMarker,
+//   missingMarker, missingRedirect (substring of the final URL), rateLimitMarker,
+//   followRedirects (default true; WhatsMyName codes are for the first response)
+function classify(response, signals = {}) {
+    const existsStatus = signals.existsStatus ?? 200;
+    const missingStatus = signals.missingStatus ?? 404;
+    const body = response.body.toLowerCase();
+    const has = (marker) => Boolean(marker) && body.includes(String(marker).toLowerCase());
+
+    if (response.status === 429 || (response.status === 503 && response.retryAfter)) {
+        return { status: 'rate_limited', reason: `HTTP ${response.status}` };
+    }
+    if (has(signals.rateLimitMarker) || (response.status !== existsStatus && RATE_LIMIT_MARKERS.some(has))) {
+        return { status: 'rate_limited', reason: 'Rate limit page returned' };
+    }
+    if (signals.missingRedirect && response.redirects.length > 0 && response.finalUrl.includes(signals.missingRedirect)) {
+        return { status: 'not_found', reason: `Redirected to ${response.finalUrl}` };
+    }
+    // Status and profile marker together outweigh a not-found marker that may occur in profile text
+    if (signals.existsMarker && response.status === existsStatus && has(signals.existsMarker)) {
+        return { status: 'exists', reason: `HTTP ${response.status} with profile marker` };
+    }
+    // When both answers share a status code only the page markers can tell them apart
+    if (response.status === missingStatus && missingStatus !== existsStatus) {
+        return { status: 'not_found', reason: `HTTP ${response.status}` };
+    }
+    if (has(signals.missingMarker)) {
+        return { status: 'not_found', reason: 'Not-found marker in page' };
+    }
+    if (response.status === existsStatus) {
+        if (signals.existsMarker && !has(signals.existsMarker)) {
+            return { status: 'unknown', reason: `HTTP ${response.status} without the profile marker` };
+        }
+        return { status: 'exists', reason: `HTTP ${response.status}` };
+    }
+    return { status: 'unknown', reason: `Unexpected HTTP ${response.status}` };
+}
+
+// Fetch a profile URL, following redirects by hand so each hop is checked and recorded.
+// `request` optionally adds the headers and POST body a platform's catalog entry declares.
+async function checkProfile(target, signals = {}, options = {}, request = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const followRedirects = signals.followRedirects !== false;
+    let url;
+    try {
+        url = new URL(target);
+    } catch (error) {
+        return { status: 'unknown', url: target, reason: 'Invalid URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return { status: 'unknown', url: target, reason: 'Only http and https URLs are checked' };
+    }
+
+    const redirects = [];
+    try {
+        for (;;) {
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return { status: 'unknown', url: target, finalUrl: url.href, redirects, reason: 'Redirected away from http(s)' };
+            }
+            assertPublicHost(url, config);
+            await paceHost(url.host, config.hostInterval);
+
+            const post = typeof request.postBody === 'string' && redirects.length === 0;
+            const response = await exchange(url, {
+                method: post ? 'POST' : 'GET',
+                body: post ? request.postBody : undefined,
+                lookup: config.allowPrivate ? undefined : publicLookup,
+                signal: AbortSignal.timeout(config.timeout),
+                headers: {
+                    'User-Agent': config.userAgent,
+                    'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8',
+                    'Accept-Language': 'en-US,en;q=0.8',
+                    ...(request.headers || {})
+                }
+            });
+
+            const location = response.headers.location;
+            if (followRedirects && response.statusCode >= 300 && response.statusCode < 400 && location) {
+                response.destroy();
+                if (redirects.length >= config.maxRedirects) {
+                    return { status: 'unknown', url: target, httpStatus: response.statusCode, finalUrl: url.href, redirects, reason: 'Too many redirects' };
+                }
+                url = new URL(location, url);
+                redirects.push(url.href);
+                continue;
+            }
+
+            const result = {
+                status: response.statusCode,
+                finalUrl: url.href,
+                redirects: redirects,
+                retryAfter: response.headers['retry-after'] || null,
+                body: await readBody(response, config.maxBodyBytes)
+            };
+            return {
+                ...classify(result, signals),
+                url: target,
+                httpStatus: response.statusCode,
+                finalUrl: url.href,
+                redirects: redirects
+            };
+        }
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || (error.name === 'AbortError' && error.cause?.name === 'TimeoutError');
+        const reason = timedOut ? `Timed out after ${config.timeout} ms` : error.message;
+        return { status: 'unknown', url: target, finalUrl: url.href, redirects, reason };
+    }
+}
+
+function createServer(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const originAllowed = (origin) => (origin === 'null' ? config.allowFileOrigin : LOCAL_ORIGIN.test(origin) || config.origins.includes(origin));
+    const sites = loadCatalogSites(config.catalogs);
+
+    return http.createServer(async (request, response) => {
+        const origin = request.headers.origin;
+        const send = (status, payload) => {
+            const headers = { 'Content-Type': 'application/json', 'Vary': 'Origin' };
+            if (origin && originAllowed(origin)) {
+                headers['Access-Control-Allow-Origin'] = origin;
+                headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+                headers['Access-Control-Allow-Headers'] = 'Content-Type';
+            }
+            response.writeHead(status, headers);
+            response.end(payload === undefined ? '' : JSON.stringify(payload));
+        };
+
+        if (origin && !originAllowed(origin)) {
+            return send(403, { error: `Origin ${origin} is not allowed` });
+        }
+
+        const path = new URL(request.url, 'http://localhost').pathname;
+
+        if (request.method === 'OPTIONS') {
+            return send(204);
+        }
+        if (request.method === 'GET' && path === '/health') {
+            return send(200, { ok: true, service: 'osint-profile-proxy', version: 1 });
+        }
+        if (request.method !== 'POST' || path !== '/check') {
+            return send(404, { error: 'Not found' });
+        }
+
+        let raw = '';
+        for await (const chunk of request) {
+            raw += chunk;
+            if (raw.length > 64 * 1024) {
+                return send(413, { error: 'Request body too large' });
+            }
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (error) {
+            return send(400, { error: 'Request body must be JSON' });
+        }
+        if (!payload || typeof payload.url !== 'string') {
+            return send(400, { error: 'Missing "url"' });
+        }
+
+        send(200, await checkProfile(payload.url, payload.signals || {}, config, siteRequest(sites, payload)));
+    });
+}
+
+function parseArgs(argv) {
+    const options = {
+        port: Number(process.env.PROFILE_PROXY_PORT) || DEFAULTS.port,
+        host: process.env.PROFILE_PROXY_HOST || DEFAULTS.host,
+        origins: [],
+        allowFileOrigin: false,
+        catalogs: [...DEFAULTS.catalogs],
+        allowPrivate: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = Number(argv[++i]);
+        else if (arg === '--host') options.host = argv[++i];
+        else if (arg === '--origin') options.origins.push(argv[++i]);
+        else if (arg === '--allow-file-origin') options.allowFileOrigin = true;
+        else if (arg === '--catalog') options.catalogs.push(argv[++i]);
+        else if (arg === '--allow-private') options.allowPrivate = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createServer(options).listen(options.port, options.host, () => {
+        console.log(`Profile proxy listening on http://${options.host}:${options.port}${options.allowPrivate ? ' (private hosts allowed)' : ''}`);
+    });
+}
+
+module.exports = { classify, checkProfile, createServer, isPrivateAddress };